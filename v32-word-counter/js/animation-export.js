@@ -0,0 +1,206 @@
+// animation-export.js - Looping GIF and APNG exports for the Intention Keeper
+//
+// Frames are rendered, not captured from the screen: a MandalaGenerator on an
+// off-screen canvas (createExportGenerator(), print-export.js) draws each
+// frame from its exact clock value, so the animation is evenly paced however
+// the live canvas was doing, and the same intention always exports the same
+// file. Pixels go to animation-worker.js, which runs the bundled encoders
+// (gif-encoder.js, apng-encoder.js) while the next frames are drawn. No
+// libraries are fetched from anywhere.
+//
+// Styles that loop (Sacred) export exactly one seamless loop starting at the
+// frame on screen — see MandalaGenerator.seamlessLoop(). Evolving styles
+// export ANIMATION_CLIP_SECONDS instead, which jump when they wrap around.
+
+if (typeof module !== 'undefined' && module.exports) {
+    Object.assign(globalThis,
+        require('./print-export.js'),
+        require('./gif-encoder.js'),
+        require('./apng-encoder.js'));
+}
+
+// Relative to the page, like the <script> tags
+const ANIMATION_WORKER_URL = 'js/animation-worker.js';
+
+const ANIMATION_FORMATS = {
+    gif:  { encoder: GifEncoder,  mimeType: 'image/gif',  extension: 'gif' },
+    apng: { encoder: ApngEncoder, mimeType: 'image/apng', extension: 'png' }
+};
+
+// Offered in the download picker. Any { name, format, size, fps } also works.
+// GIF delays are hundredths of a second, so its rates divide 100.
+const ANIMATION_PRESETS = [
+    { name: 'gif-320',  label: 'GIF · 320 px (sticker)',    format: 'gif',  size: 320, fps: 20 },
+    { name: 'gif-480',  label: 'GIF · 480 px',              format: 'gif',  size: 480, fps: 20 },
+    { name: 'apng-480', label: 'APNG · 480 px',             format: 'apng', size: 480, fps: 30 },
+    { name: 'apng-720', label: 'APNG · 720 px (wallpaper)', format: 'apng', size: 720, fps: 30 }
+];
+
+// Length of exports for styles that don't loop
+const ANIMATION_CLIP_SECONDS = 6;
+
+// Long Sacred loops (up to about 70 seconds) drop their frame rate to stay
+// under this, which keeps files and encoding time reasonable
+const ANIMATION_MAX_FRAMES = 600;
+
+// Sacred loops are lengthened by whole rotations to fit the breathing, but
+// only while ANIMATION_MAX_FRAMES still gives them this frame rate
+const ANIMATION_MIN_LOOP_FPS = 15;
+
+// Frames sent to the worker but not yet encoded. addFrame() waits above this
+// so raw frames don't pile up in memory behind a slow encoder.
+const ANIMATION_MAX_QUEUED = 3;
+
+// Runs one export's encoder in animation-worker.js. Same addFrame() / finish()
+// contract as the encoders themselves; frames are transferred, not copied.
+class AnimationWorkerEncoder {
+    constructor(format, width, height) {
+        this.worker  = new Worker(ANIMATION_WORKER_URL);
+        this.queued  = 0;
+        this.waiting = [];
+        this.failure = null;
+        this.done    = null;
+
+        // Settles once the worker has loaded and made its encoder
+        this.ready = new Promise((resolve, reject) => {
+            this.started = { resolve, reject };
+        });
+
+        this.worker.addEventListener('message', (event) => this.onMessage(event.data));
+        this.worker.addEventListener('error', (event) => {
+            event.preventDefault();
+            this.fail(new Error(event.message || 'The animation worker failed to load'));
+        });
+        this.worker.postMessage({ type: 'start', format, width, height });
+    }
+
+    onMessage(message) {
+        if (message.type === 'ready') {
+            this.started.resolve();
+        } else if (message.type === 'encoded') {
+            this.queued--;
+            this.waiting.splice(0).forEach(({ resolve }) => resolve());
+        } else if (message.type === 'done') {
+            this.worker.terminate();
+            this.done.resolve(new Uint8Array(message.bytes));
+        } else if (message.type === 'error') {
+            this.fail(new Error(message.message));
+        }
+    }
+
+    // Rejects everything still waiting on the worker and stops it
+    fail(error) {
+        if (this.failure) return;
+        this.failure = error;
+        this.worker.terminate();
+        this.started.reject(error);
+        this.waiting.splice(0).forEach(({ reject }) => reject(error));
+        if (this.done) this.done.reject(error);
+    }
+
+    cancel() {
+        this.fail(new Error('Animation export cancelled'));
+    }
+
+    async addFrame(pixels, delayMs) {
+        if (this.failure) throw this.failure;
+        this.queued++;
+        this.worker.postMessage({ type: 'frame', pixels: pixels.buffer, delay: delayMs }, [pixels.buffer]);
+        while (this.queued >= ANIMATION_MAX_QUEUED) {
+            await new Promise((resolve, reject) => this.waiting.push({ resolve, reject }));
+        }
+    }
+
+    finish() {
+        if (this.failure) return Promise.reject(this.failure);
+        return new Promise((resolve, reject) => {
+            this.done = { resolve, reject };
+            this.worker.postMessage({ type: 'finish' });
+        });
+    }
+}
+
+// An encoder for format in a worker, or in-thread when the worker can't start
+// (no Worker support, or a page opened from file://)
+async function openAnimationEncoder(format, width, height) {
+    if (typeof Worker !== 'undefined') {
+        try {
+            const encoder = new AnimationWorkerEncoder(format, width, height);
+            await encoder.ready;
+            return encoder;
+        } catch (e) {
+            console.warn('Animation worker unavailable; encoding on the main thread.', e.message);
+        }
+    }
+    return new ANIMATION_FORMATS[format].encoder(width, height);
+}
+
+// What an export draws, starting from the generator's frame at startSeconds:
+// `count` frames spread evenly over `seconds`, frame i drawn by draw(i).
+// loops is true when the frame after the last is the first again.
+function planAnimation(generator, startSeconds, fps) {
+    generator.setClock(startSeconds);
+    const start = { time: generator.time, rotation: generator.rotationAngle, hue: generator.hueAngle };
+
+    const loop    = generator.seamlessLoop(ANIMATION_MAX_FRAMES / Math.min(fps, ANIMATION_MIN_LOOP_FPS));
+    const seconds = loop ? loop.seconds : ANIMATION_CLIP_SECONDS;
+    const count   = Math.max(2, Math.min(ANIMATION_MAX_FRAMES, Math.round(seconds * fps)));
+
+    const draw = loop
+        ? (i) => {
+            const phase = i / count;
+            generator.renderPhases(
+                start.time     + phase * loop.time,
+                start.rotation + phase * loop.rotation,
+                start.hue      + phase * loop.hue
+            );
+        }
+        : (i) => generator.renderAt(startSeconds + i * seconds / count);
+
+    return { seconds, count, loops: Boolean(loop), draw };
+}
+
+// Renders and encodes an animation of the mandala a renderer (MandalaGenerator
+// or MandalaWorkerProxy) is showing. preset is an ANIMATION_PRESETS entry;
+// onProgress(fraction) follows the frames as they are drawn. Returns a Blob.
+async function exportMandalaAnimation(renderer, preset, onProgress = () => {}) {
+    const format = ANIMATION_FORMATS[preset.format];
+    if (!format) {
+        throw new Error(`Unknown animation format "${preset.format}"`);
+    }
+
+    const state         = renderer.frameState();
+    const { generator } = createExportGenerator(state, preset.size, preset.size);
+    const plan          = planAnimation(generator, state.seconds, preset.fps);
+    const delayMs       = plan.seconds * 1000 / plan.count;
+    const encoder       = await openAnimationEncoder(preset.format, preset.size, preset.size);
+
+    try {
+        for (let i = 0; i < plan.count; i++) {
+            // Each frame starts from black rather than fading over the one
+            // before, so the last frame of a loop leads into the first cleanly
+            generator.backend.fade(1);
+            plan.draw(i);
+            await encoder.addFrame(generator.backend.getImageData().data, delayMs);
+            onProgress((i + 1) / plan.count);
+
+            // Give the page a turn to repaint and take input between frames
+            await new Promise(resolve => setTimeout(resolve, 0));
+        }
+        const bytes = await encoder.finish();
+        return new Blob([bytes], { type: format.mimeType });
+    } catch (e) {
+        if (encoder.cancel) encoder.cancel();
+        throw e;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        ANIMATION_FORMATS,
+        ANIMATION_PRESETS,
+        planAnimation,
+        openAnimationEncoder,
+        exportMandalaAnimation
+    };
+}
@@ -0,0 +1,45 @@
+// animation-worker.js - Dedicated worker that encodes animated exports
+//
+// Started by AnimationWorkerEncoder (animation-export.js), one per export.
+// 'start' creates a GIF or APNG encoder, each 'frame' message carries one
+// frame's RGBA pixels, and 'finish' sends back the file's bytes. Every frame is
+// acknowledged once encoded so the page can hold off while the encoder catches up.
+importScripts(
+    'gif-encoder.js',
+    'apng-encoder.js',
+    'animation-export.js'
+);
+
+let encoder = null;
+
+// Messages are handled strictly in order — APNG frames compress asynchronously
+let work = Promise.resolve();
+
+const ANIMATION_WORKER_HANDLERS = {
+    start: ({ format, width, height }) => {
+        encoder = new ANIMATION_FORMATS[format].encoder(width, height);
+        self.postMessage({ type: 'ready' });
+    },
+    frame: async ({ pixels, delay }) => {
+        await encoder.addFrame(new Uint8ClampedArray(pixels), delay);
+        self.postMessage({ type: 'encoded' });
+    },
+    finish: async () => {
+        const bytes = await encoder.finish();
+        self.postMessage({ type: 'done', bytes: bytes.buffer }, [bytes.buffer]);
+    }
+};
+
+self.addEventListener('message', (event) => {
+    const message = event.data;
+    const handler = ANIMATION_WORKER_HANDLERS[message.type];
+    if (!handler) {
+        console.warn(`Animation worker ignored "${message.type}" message`);
+        return;
+    }
+
+    // Report instead of dying — the page has no other view into the worker
+    work = work
+        .then(() => handler(message))
+        .catch((e) => self.postMessage({ type: 'error', message: e.message }));
+});
@@ -0,0 +1,216 @@
+// apng-encoder.js - Animated PNG (APNG) writer for the Intention Keeper
+//
+// Full colour, unlike GIF — the glows keep their smooth falloff. Frames are
+// written whole as 8-bit RGB (the mandala is always opaque), Paeth-filtered and
+// zlib-compressed with the browser's CompressionStream. Where that's missing
+// the data is stored uncompressed instead: a much larger file, still valid.
+//
+//   const apng = new ApngEncoder(480, 480);
+//   await apng.addFrame(imageData.data, 33.3);  // RGBA pixels, delay in ms
+//   const bytes = await apng.finish();          // Uint8Array
+//
+// Frame delays are written in milliseconds with rounding carried between
+// frames, so the loop's total length is exact.
+//
+// Used by animation-worker.js, or in-thread when the worker can't load.
+
+const PNG_SIGNATURE = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a];
+
+// Largest stored deflate block
+const DEFLATE_STORED_MAX = 65535;
+
+const CRC32_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+function crc32(bytes, crc = 0xffffffff) {
+    for (let i = 0; i < bytes.length; i++) {
+        crc = CRC32_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return crc;
+}
+
+function adler32(bytes) {
+    let a = 1, b = 0;
+    for (let i = 0; i < bytes.length; i++) {
+        a = (a + bytes[i]) % 65521;
+        b = (b + a) % 65521;
+    }
+    return ((b << 16) | a) >>> 0;
+}
+
+// zlib stream of stored (uncompressed) deflate blocks
+function zlibStored(data) {
+    const blocks = Math.max(1, Math.ceil(data.length / DEFLATE_STORED_MAX));
+    const out    = new Uint8Array(2 + data.length + blocks * 5 + 4);
+    const view   = new DataView(out.buffer);
+    out[0] = 0x78;
+    out[1] = 0x01;
+    let at = 2;
+    for (let block = 0; block < blocks; block++) {
+        const start  = block * DEFLATE_STORED_MAX;
+        const length = Math.min(DEFLATE_STORED_MAX, data.length - start);
+        out[at] = block === blocks - 1 ? 1 : 0;
+        view.setUint16(at + 1, length, true);
+        view.setUint16(at + 3, ~length & 0xffff, true);
+        out.set(data.subarray(start, start + length), at + 5);
+        at += 5 + length;
+    }
+    view.setUint32(at, adler32(data));
+    return out;
+}
+
+// zlib-wrapped deflate of data, as PNG IDAT expects
+async function zlibCompress(data) {
+    if (typeof CompressionStream === 'undefined') return zlibStored(data);
+    const stream = new Blob([data]).stream().pipeThrough(new CompressionStream('deflate'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+// One PNG chunk: length, type, data, CRC of type + data
+function pngChunk(type, data) {
+    const chunk = new Uint8Array(12 + data.length);
+    const view  = new DataView(chunk.buffer);
+    view.setUint32(0, data.length);
+    for (let i = 0; i < 4; i++) chunk[4 + i] = type.charCodeAt(i);
+    chunk.set(data, 8);
+    view.setUint32(8 + data.length, (crc32(chunk.subarray(4, 8 + data.length)) ^ 0xffffffff) >>> 0);
+    return chunk;
+}
+
+// Big-endian fields → bytes. fields: [[value, byteCount], ...]
+function pngFields(fields) {
+    const size = fields.reduce((sum, [, bytes]) => sum + bytes, 0);
+    const out  = new Uint8Array(size);
+    const view = new DataView(out.buffer);
+    let at = 0;
+    for (const [value, bytes] of fields) {
+        if (bytes === 4) view.setUint32(at, value);
+        else if (bytes === 2) view.setUint16(at, value);
+        else view.setUint8(at, value);
+        at += bytes;
+    }
+    return out;
+}
+
+function paeth(a, b, c) {
+    const p  = a + b - c;
+    const pa = Math.abs(p - a), pb = Math.abs(p - b), pc = Math.abs(p - c);
+    return pa <= pb && pa <= pc ? a : pb <= pc ? b : c;
+}
+
+// RGBA pixels → Paeth-filtered RGB scanlines
+function pngScanlines(pixels, width, height) {
+    const stride = width * 3;
+    const out    = new Uint8Array((stride + 1) * height);
+    const row    = new Uint8Array(stride);
+    let previous = new Uint8Array(stride);
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0, i = y * width * 4; x < width; x++, i += 4) {
+            row[x * 3]     = pixels[i];
+            row[x * 3 + 1] = pixels[i + 1];
+            row[x * 3 + 2] = pixels[i + 2];
+        }
+        const at = y * (stride + 1);
+        out[at] = 4; // Paeth
+        for (let i = 0; i < stride; i++) {
+            const left   = i >= 3 ? row[i - 3] : 0;
+            const upLeft = i >= 3 ? previous[i - 3] : 0;
+            out[at + 1 + i] = row[i] - paeth(left, previous[i], upLeft);
+        }
+        previous = row.slice();
+    }
+    return out;
+}
+
+class ApngEncoder {
+    constructor(width, height) {
+        if (!(width > 0 && height > 0)) {
+            throw new Error(`Invalid APNG size ${width} × ${height}`);
+        }
+        this.width   = width;
+        this.height  = height;
+        this.elapsed = 0;
+        this.frames  = [];
+    }
+
+    // pixels: RGBA, width × height × 4 bytes. Compression starts at once;
+    // the returned promise settles when this frame is done.
+    addFrame(pixels, delayMs) {
+        if (pixels.length < this.width * this.height * 4) {
+            throw new Error('APNG frame is smaller than the image');
+        }
+        const start = Math.round(this.elapsed);
+        this.elapsed += delayMs;
+
+        const frame = {
+            delay: Math.round(this.elapsed) - start,
+            data:  zlibCompress(pngScanlines(pixels, this.width, this.height))
+        };
+        this.frames.push(frame);
+        return frame.data;
+    }
+
+    // The finished file: IHDR, acTL, then fcTL + IDAT for the first frame and
+    // fcTL + fdAT for the rest, all sharing one sequence counter
+    async finish() {
+        if (!this.frames.length) {
+            throw new Error('An APNG needs at least one frame');
+        }
+
+        const chunks = [Uint8Array.from(PNG_SIGNATURE)];
+        chunks.push(pngChunk('IHDR', pngFields([
+            [this.width, 4], [this.height, 4],
+            [8, 1], [2, 1], [0, 1], [0, 1], [0, 1]   // 8-bit RGB, no interlace
+        ])));
+        chunks.push(pngChunk('acTL', pngFields([[this.frames.length, 4], [0, 4]]))); // loop forever
+
+        let sequence = 0;
+        for (let index = 0; index < this.frames.length; index++) {
+            const frame = this.frames[index];
+            chunks.push(pngChunk('fcTL', pngFields([
+                [sequence++, 4],
+                [this.width, 4], [this.height, 4], [0, 4], [0, 4],
+                [frame.delay, 2], [1000, 2],
+                [0, 1], [0, 1]   // no disposal, replace the canvas
+            ])));
+
+            const data = await frame.data;
+            if (index === 0) {
+                chunks.push(pngChunk('IDAT', data));
+            } else {
+                const fdat = new Uint8Array(4 + data.length);
+                new DataView(fdat.buffer).setUint32(0, sequence++);
+                fdat.set(data, 4);
+                chunks.push(pngChunk('fdAT', fdat));
+            }
+        }
+        chunks.push(pngChunk('IEND', new Uint8Array(0)));
+        this.frames = [];
+
+        const out = new Uint8Array(chunks.reduce((sum, chunk) => sum + chunk.length, 0));
+        let at = 0;
+        for (const chunk of chunks) {
+            out.set(chunk, at);
+            at += chunk.length;
+        }
+        return out;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        PNG_SIGNATURE,
+        ApngEncoder,
+        crc32,
+        pngChunk,
+        zlibStored
+    };
+}
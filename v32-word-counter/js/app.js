@@ -12,15 +12,26 @@ let mandalaGen         = null;
 let audioEngine        = null;
 let currentIntention   = '';
 let currentHash        = '';
-let currentHashNumbers = [];
+let currentSpec        = null;
 
 // Timer state
 let timerInterval = null;
 let timerSeconds  = 0;
 
+// Session recording (session-recorder.js) — null where the browser can't record WebM.
+// recordingWholeSession: the recording ends with the timed session, not after a fixed length.
+let sessionRecorder       = null;
+let recordingWholeSession = false;
+
+// Spiral dissolve and audio fade at the end of a timed session
+const DISSOLVE_MS = 8000;
+
 // localStorage key — namespaced to avoid conflicts with other apps
 const STORAGE_KEY = 'intentionKeeper_intentions';
 
+// Display settings (pinned quality tier, FPS overlay) — kept apart from intentions
+const SETTINGS_KEY = 'intentionKeeper_settings';
+
 // Wheel picker state — tracks selected hours, minutes, and seconds
 let selectedHours   = 0;
 let selectedMinutes = 5; // default to 5 minutes so wheel is never at zero on load
@@ -40,8 +51,19 @@ document.addEventListener('DOMContentLoaded', function() {
     const newSessionBtn     = document.getElementById('newSessionBtn');
     const clearAllBtn       = document.getElementById('clearAllBtn');
     const startTimerBtn     = document.getElementById('startTimerBtn');
-
-    mandalaGen  = new MandalaGenerator(canvas);
+    const privateToggle     = document.getElementById('privateToggle');
+    const passphraseInput   = document.getElementById('passphraseInput');
+    const downloadSvgBtn    = document.getElementById('downloadSvgBtn');
+    const downloadPngBtn    = document.getElementById('downloadPngBtn');
+    const printSizeSelect   = document.getElementById('printSizeSelect');
+    const presetSelect      = document.getElementById('animationPresetSelect');
+    const downloadLoopBtn   = document.getElementById('downloadAnimationBtn');
+    const lengthSelect      = document.getElementById('recordLengthSelect');
+    const recordBtn         = document.getElementById('recordBtn');
+    const settings          = loadSettings();
+
+    // In-thread rendering unless the user turned on off-thread (worker) rendering
+    mandalaGen  = createMandalaRenderer(canvas, { offThread: settings.offThreadRendering === true });
     audioEngine = new IntentionAudioEngine();
 
     // Build all three wheel pickers and render saved intentions on page load
@@ -66,6 +88,14 @@ document.addEventListener('DOMContentLoaded', function() {
         }
     });
 
+    // --- PRIVATE MODE TOGGLE ---
+    // Reveals the passphrase field. The passphrase stays in this input only —
+    // it is never saved, so a private mandala cannot be reproduced without it.
+    privateToggle.addEventListener('change', function() {
+        passphraseInput.style.display = privateToggle.checked ? 'block' : 'none';
+        if (!privateToggle.checked) passphraseInput.value = '';
+    });
+
     // --- ANALYZE BUTTON ---
     analyzeBtn.addEventListener('click', async function() {
         const intention = intentionInput.value.trim();
@@ -93,22 +123,311 @@ document.addEventListener('DOMContentLoaded', function() {
     });
 
     // --- STYLE TOGGLE ---
-    // Switches between Sacred and Cosmic rendering styles instantly.
+    // One button per registered style (mandala-styles.js), switched instantly.
     // No re-hashing needed — setStyle() reuses the stored hash parameters.
-    const sacredBtn = document.getElementById('sacredBtn');
-    const cosmicBtn = document.getElementById('cosmicBtn');
+    const styleToggle  = document.getElementById('styleToggle');
+    const styleButtons = listMandalaStyles().map(style => {
+        const button       = document.createElement('button');
+        button.className   = 'style-btn';
+        button.id          = `${style.name}Btn`;
+        button.textContent = style.label;
+        button.classList.toggle('active', style.name === mandalaGen.style);
+
+        button.addEventListener('click', function() {
+            selectStyle(style.name);
+        });
+
+        styleToggle.appendChild(button);
+        return button;
+    });
+
+    // Switches the renderer and the toggle's active button together
+    function selectStyle(name) {
+        mandalaGen.setStyle(name);
+        styleButtons.forEach(b => b.classList.toggle('active', b.id === `${name}Btn`));
+    }
+
+    // --- PROJECTION PICKER ---
+    // "Intention Default" uses the hash-seeded projection from the MandalaSpec.
+    // Any other choice overrides it for viewing only — nothing is re-hashed or saved.
+    const projectionSelect = document.getElementById('projectionSelect');
+    projectionSelect.add(new Option('◎ Intention Default', ''));
+    PROJECTION_NAMES.forEach(name => {
+        projectionSelect.add(new Option(PROJECTIONS[name].label, name));
+    });
+
+    projectionSelect.addEventListener('change', function() {
+        mandalaGen.setProjection(projectionSelect.value || null);
+    });
+
+    // --- QUALITY SETTINGS ---
+    // "Auto" lets the quality governor step tiers up and down with frame time.
+    // Picking a tier pins it. Both choices and the FPS overlay are remembered.
+    const qualitySelect = document.getElementById('qualitySelect');
+    const hudToggle     = document.getElementById('hudToggle');
+
+    qualitySelect.add(new Option('⚙ Auto Quality', ''));
+    QUALITY_TIERS.forEach((tier, index) => {
+        qualitySelect.add(new Option(`${tier.label} (tier ${index})`, String(index)));
+    });
+
+    if (settings.qualityTier != null && QUALITY_TIERS[settings.qualityTier]) {
+        mandalaGen.setQualityTier(settings.qualityTier);
+        qualitySelect.value = String(settings.qualityTier);
+    }
+    mandalaGen.showHud = Boolean(settings.showHud);
+    hudToggle.checked  = mandalaGen.showHud;
+
+    qualitySelect.addEventListener('change', function() {
+        const tier = qualitySelect.value === '' ? null : Number(qualitySelect.value);
+        mandalaGen.setQualityTier(tier);
+        saveSettings({ qualityTier: tier });
+    });
+
+    hudToggle.addEventListener('change', function() {
+        mandalaGen.showHud = hudToggle.checked;
+        saveSettings({ showHud: hudToggle.checked });
+    });
+
+    // Background rendering — a transferred canvas can't be taken back, so
+    // switching renderers means reloading the page
+    const offThreadToggle   = document.getElementById('offThreadToggle');
+    offThreadToggle.checked = settings.offThreadRendering === true;
+    offThreadToggle.addEventListener('change', function() {
+        if (!confirm('Switching the renderer reloads the page. Continue?')) {
+            offThreadToggle.checked = !offThreadToggle.checked;
+            return;
+        }
+        saveSettings({ offThreadRendering: offThreadToggle.checked });
+        window.location.reload();
+    });
+
+    // Tuning profile, grouped as in TUNING_PROFILES. New intentions play in the
+    // one picked; a reopened saved intention plays in the tuning saved with it
+    // without changing the pick. Changing it retunes the intention playing and
+    // records that on its entry.
+    const tuningSelect = document.getElementById('tuningSelect');
+    const tuningGroups = {};
+    Object.keys(TUNING_PROFILES).forEach(name => {
+        const profile = TUNING_PROFILES[name];
+        if (!tuningGroups[profile.group]) {
+            tuningGroups[profile.group] = document.createElement('optgroup');
+            tuningGroups[profile.group].label = profile.group;
+            tuningSelect.appendChild(tuningGroups[profile.group]);
+        }
+        tuningGroups[profile.group].appendChild(new Option(profile.label, name));
+    });
+    selectTuning(TUNING_PROFILES[settings.tuning] ? settings.tuning : DEFAULT_TUNING);
+
+    tuningSelect.addEventListener('change', function() {
+        selectTuning(tuningSelect.value);
+        saveSettings({ tuning: tuningSelect.value });
+        if (currentHash) retuneIntention(currentHash, tuningSelect.value);
+    });
+
+    // Entrainment layer (binaural / monaural / isochronic) and the band whose
+    // rate replaces 7.83 Hz — both remembered, applied to the running soundscape
+    const entrainmentModeSelect = document.getElementById('entrainmentModeSelect');
+    const entrainmentBandSelect = document.getElementById('entrainmentBandSelect');
+
+    Object.keys(ENTRAINMENT_MODES).forEach(name => {
+        entrainmentModeSelect.add(new Option(ENTRAINMENT_MODES[name].label, name));
+    });
+    entrainmentBandSelect.add(new Option(`Schumann · ${audioEngine.ENTRAINMENT_HZ} Hz`, ''));
+    Object.keys(ENTRAINMENT_BANDS).forEach(name => {
+        entrainmentBandSelect.add(new Option(ENTRAINMENT_BANDS[name].label, name));
+    });
 
-    sacredBtn.addEventListener('click', function() {
-        mandalaGen.setStyle('sacred');
-        sacredBtn.classList.add('active');
-        cosmicBtn.classList.remove('active');
+    if (ENTRAINMENT_MODES[settings.entrainmentMode]) entrainmentModeSelect.value = settings.entrainmentMode;
+    if (ENTRAINMENT_BANDS[settings.entrainmentBand]) entrainmentBandSelect.value = settings.entrainmentBand;
+
+    const applyEntrainment = () =>
+        audioEngine.setEntrainment(entrainmentModeSelect.value, entrainmentBandSelect.value || null);
+    applyEntrainment();
+
+    entrainmentModeSelect.addEventListener('change', function() {
+        applyEntrainment();
+        showTuningFrequencies();
+        saveSettings({ entrainmentMode: entrainmentModeSelect.value });
+    });
+    entrainmentBandSelect.addEventListener('change', function() {
+        applyEntrainment();
+        showTuningFrequencies();
+        saveSettings({ entrainmentBand: entrainmentBandSelect.value || null });
+    });
+
+    // Exported PNGs carry the MERIDIAN-HASH provenance (png-provenance.js);
+    // whether the canonical intention goes with it is the user's choice
+    const embedIntentionToggle   = document.getElementById('embedIntentionToggle');
+    embedIntentionToggle.checked = settings.embedIntention !== false;
+    embedIntentionToggle.addEventListener('change', function() {
+        saveSettings({ embedIntention: embedIntentionToggle.checked });
+    });
+
+    const exportProvenance = () =>
+        mandalaProvenance(mandalaGen, { includeIntention: embedIntentionToggle.checked, tuning: audioEngine.tuning });
+
+    // --- DOWNLOAD SVG ---
+    // Vector copy of the frame on screen, redrawn at full quality (svg-export.js)
+    downloadSvgBtn.addEventListener('click', function() {
+        let svg;
+        try {
+            svg = renderMandalaSvg(mandalaGen);
+        } catch (e) {
+            alert(e.message);
+            return;
+        }
+        downloadBlob(new Blob([svg], { type: 'image/svg+xml' }), `intention-mandala-${Date.now()}.svg`);
+    });
+
+    // --- DOWNLOAD PNG ---
+    // Print-size raster, re-rendered off-screen at the chosen size (print-export.js)
+    PRINT_SIZES.forEach((size, index) => {
+        printSizeSelect.add(new Option(size.label, String(index)));
+    });
+
+    downloadPngBtn.addEventListener('click', async function() {
+        const size = PRINT_SIZES[Number(printSizeSelect.value)];
+        downloadPngBtn.disabled    = true;
+        downloadPngBtn.textContent = '⏳ Rendering...';
+        try {
+            const blob = await addPngProvenance(await exportMandalaPng(mandalaGen, size), exportProvenance());
+            downloadBlob(blob, `intention-mandala-${size.name}-${Date.now()}.png`);
+        } catch (e) {
+            alert(e.message);
+        } finally {
+            downloadPngBtn.disabled    = false;
+            downloadPngBtn.textContent = '⬇ Download PNG';
+        }
+    });
+
+    // --- DOWNLOAD LOOP ---
+    // Animated GIF or APNG rendered frame by frame; Sacred exports one seamless
+    // loop, the evolving styles a short clip (animation-export.js)
+    ANIMATION_PRESETS.forEach((preset, index) => {
+        presetSelect.add(new Option(preset.label, String(index)));
+    });
+
+    downloadLoopBtn.addEventListener('click', async function() {
+        const preset = ANIMATION_PRESETS[Number(presetSelect.value)];
+        const format = ANIMATION_FORMATS[preset.format];
+        downloadLoopBtn.disabled    = true;
+        downloadLoopBtn.textContent = '⏳ Rendering...';
+        try {
+            let blob = await exportMandalaAnimation(mandalaGen, preset, (fraction) => {
+                downloadLoopBtn.textContent = `⏳ ${Math.round(fraction * 100)}%`;
+            });
+            if (format.extension === 'png') blob = await addPngProvenance(blob, exportProvenance());
+            downloadBlob(blob, `intention-mandala-${preset.name}-${Date.now()}.${format.extension}`);
+        } catch (e) {
+            alert(e.message);
+        } finally {
+            downloadLoopBtn.disabled    = false;
+            downloadLoopBtn.textContent = '⬇ Download Loop';
+        }
     });
 
-    cosmicBtn.addEventListener('click', function() {
-        mandalaGen.setStyle('cosmic');
-        cosmicBtn.classList.add('active');
-        sacredBtn.classList.remove('active');
-    });// --- MUTE / UNMUTE ---
+    // --- RECORD SESSION ---
+    // WebM of the canvas with the soundscape mixed in (session-recorder.js).
+    // "Full session" begins the meditation with the wheels' duration and keeps
+    // recording through the spiral dissolve. Clicking again stops early.
+    if (SessionRecorder.isSupported(canvas)) {
+        sessionRecorder = new SessionRecorder(audioEngine);
+        SESSION_RECORDING_LENGTHS.forEach((length, index) => {
+            lengthSelect.add(new Option(length.label, String(index)));
+        });
+    } else {
+        lengthSelect.style.display = 'none';
+        recordBtn.style.display    = 'none';
+    }
+
+    recordBtn.addEventListener('click', function() {
+        if (sessionRecorder.recording) {
+            sessionRecorder.stop();
+            return;
+        }
+
+        const length       = SESSION_RECORDING_LENGTHS[Number(lengthSelect.value)];
+        const wholeSession = length.seconds === null;
+        const totalSeconds = (selectedHours * 3600) + (selectedMinutes * 60) + selectedSeconds;
+
+        if (wholeSession) {
+            if (timerInterval) {
+                alert('A full-session recording starts with the meditation. Cancel the running timer first.');
+                return;
+            }
+            if (totalSeconds === 0) {
+                alert('Please select a meditation duration greater than zero.');
+                return;
+            }
+        }
+
+        const seconds = wholeSession ? totalSeconds + DISSOLVE_MS / 1000 : length.seconds;
+        const bytes   = SessionRecorder.estimateBytes(seconds);
+        if (bytes > 1e9 && !confirm(`This recording will be about ${(bytes / 1e9).toFixed(1)} GB. Continue?`)) {
+            return;
+        }
+
+        let finished;
+        try {
+            finished = sessionRecorder.start(mandalaGen.canvas, length.seconds);
+        } catch (e) {
+            alert(`Recording could not start: ${e.message}`);
+            return;
+        }
+
+        // Flag set after startTimer() — it cancels any previous timer, which
+        // would otherwise end this recording straight away
+        if (wholeSession) startTimer(totalSeconds);
+        recordingWholeSession = wholeSession;
+        recordBtn.textContent = '⏹ Stop Recording';
+        lengthSelect.disabled = true;
+
+        finished.then((blob) => {
+            recordingWholeSession = false;
+            recordBtn.textContent = '⏺ Record';
+            lengthSelect.disabled = false;
+            downloadBlob(blob, `intention-session-${Date.now()}.webm`);
+        });
+    });
+
+    // --- VERIFY A MANDALA ---
+    // Drop (or choose) an exported PNG. Its embedded provenance is re-hashed
+    // and, when it checks out, the mandala it records is reopened live.
+    const verifyDropZone  = document.getElementById('verifyDropZone');
+    const verifyFileInput = document.getElementById('verifyFileInput');
+
+    const verifyFile = async (file) => {
+        const reopen = await checkPngProvenance(file);
+        if (!reopen) return;
+        if (!await generateMandala(reopen.text, reopen.options)) return;
+        if (getMandalaStyle(reopen.style)) selectStyle(reopen.style);
+        projectionSelect.value = PROJECTIONS[reopen.projection] ? reopen.projection : '';
+        mandalaGen.setProjection(projectionSelect.value || null);
+    };
+
+    verifyDropZone.addEventListener('click', () => verifyFileInput.click());
+    verifyDropZone.addEventListener('keydown', (e) => {
+        if (e.key !== 'Enter' && e.key !== ' ') return;
+        e.preventDefault();
+        verifyFileInput.click();
+    });
+    verifyFileInput.addEventListener('change', function() {
+        if (verifyFileInput.files[0]) verifyFile(verifyFileInput.files[0]);
+        verifyFileInput.value = '';
+    });
+    verifyDropZone.addEventListener('dragover', (e) => {
+        e.preventDefault();
+        verifyDropZone.classList.add('dragging');
+    });
+    verifyDropZone.addEventListener('dragleave', () => verifyDropZone.classList.remove('dragging'));
+    verifyDropZone.addEventListener('drop', (e) => {
+        e.preventDefault();
+        verifyDropZone.classList.remove('dragging');
+        if (e.dataTransfer.files[0]) verifyFile(e.dataTransfer.files[0]);
+    });
+
+    // --- MUTE / UNMUTE ---
     muteBtn.addEventListener('click', function() {
         if (!audioEngine) return;
         const isMuted       = audioEngine.toggleMute();
@@ -256,16 +575,28 @@ function buildWheel(containerId, min, max, defaultValue, onChange) {
 // INTENTION STORAGE
 // ─────────────────────────────────────────────
 
-// Saves intention text, MERIDIAN-HASH, and timestamp to localStorage.
-// Skips duplicate consecutive entries to avoid redundant storage.
-function saveIntention(intentionText, hash) {
+// Saves intention text, MERIDIAN-HASH, provenance, and timestamp to localStorage.
+// Provenance (generator version, canonicalization version, canonical form, case
+// folding) lets a past intention redraw exactly as it was first made, even after
+// the geometry or canonicalization code has changed.
+// Skips duplicate consecutive entries to avoid redundant storage — with
+// canonicalization, "I am  peace" and "I am peace" are the same entry.
+function saveIntention(intentionText, provenance, tuning) {
     const intentions = loadIntentions();
-    if (intentions.length > 0 && intentions[0].text === intentionText) return;
+    if (intentions.length > 0 &&
+        intentions[0].hash === provenance.hash &&
+        (intentions[0].generatorVersion || LEGACY_GENERATOR_VERSION) === provenance.generatorVersion) return;
 
     intentions.unshift({
-        text:      intentionText,
-        hash:      hash,
-        timestamp: new Date().toISOString()
+        text:             intentionText,
+        hash:             provenance.hash,
+        generatorVersion: provenance.generatorVersion,
+        canonicalVersion: provenance.canonicalVersion,
+        canonicalText:    provenance.canonicalText,
+        caseFold:         provenance.caseFold,
+        mode:             provenance.mode,
+        tuning:           tuning,
+        timestamp:        new Date().toISOString()
     });
 
     try {
@@ -276,6 +607,56 @@ function saveIntention(intentionText, hash) {
     renderIntentionsList();
 }
 
+// Reproduction options for a saved entry. Entries saved before versioning carry
+// no generatorVersion (all v1), no canonicalVersion (raw text, v0), no mode (public)
+// and no tuning (the original v3.2 sound).
+// Private entries also need the passphrase, which is never stored — the caller asks for it.
+function entryProvenanceOptions(entry) {
+    return {
+        generatorVersion: entry.generatorVersion || LEGACY_GENERATOR_VERSION,
+        canonicalVersion: entry.canonicalVersion == null ? LEGACY_CANONICAL_VERSION : entry.canonicalVersion,
+        caseFold:         Boolean(entry.caseFold),
+        mode:             entry.mode || 'public',
+        tuning:           entry.tuning || LEGACY_TUNING
+    };
+}
+
+// Records a new tuning on the newest saved entry for a hash, so it reopens
+// sounding the way it was last heard
+function retuneIntention(hash, tuning) {
+    const intentions = loadIntentions();
+    const entry      = intentions.find(saved => saved.hash === hash);
+    if (!entry || entry.tuning === tuning) return;
+
+    entry.tuning = tuning;
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(intentions));
+    } catch(e) {
+        console.warn('Could not update localStorage:', e);
+    }
+    renderIntentionsList();
+}
+
+// ─────────────────────────────────────────────
+// DISPLAY SETTINGS
+// ─────────────────────────────────────────────
+
+function loadSettings() {
+    try {
+        const raw = localStorage.getItem(SETTINGS_KEY);
+        return raw ? JSON.parse(raw) : {};
+    } catch(e) { return {}; }
+}
+
+// Merges changes into the stored settings
+function saveSettings(changes) {
+    try {
+        localStorage.setItem(SETTINGS_KEY, JSON.stringify(Object.assign(loadSettings(), changes)));
+    } catch(e) {
+        console.warn('Could not save settings to localStorage:', e);
+    }
+}
+
 function loadIntentions() {
     try {
         const raw = localStorage.getItem(STORAGE_KEY);
@@ -314,20 +695,60 @@ function renderIntentionsList() {
             hour: '2-digit', minute: '2-digit'
         });
 
-        card.innerHTML = `
-            <div class="intention-card-content">
-                <div class="intention-card-text">${entry.text}</div>
-                <div class="intention-card-date">${formatted} &nbsp;·&nbsp; ${entry.hash.substring(0, 12)}...</div>
-            </div>
-            <button class="intention-delete-btn" data-index="${index}">Delete</button>
-        `;
+        const options = entryProvenanceOptions(entry);
+
+        // Built as text nodes: intentions and labels are user data, never markup
+        const content = document.createElement('div');
+        content.className = 'intention-card-content';
+
+        const text = document.createElement('div');
+        text.className   = 'intention-card-text';
+        text.textContent = entry.text;
+        content.append(text);
 
-        card.querySelector('.intention-card-content').addEventListener('click', async function() {
+        // Canonical form shown only when it differs from what the user typed
+        if (entry.canonicalText && entry.canonicalText !== entry.text) {
+            const canonical = document.createElement('div');
+            canonical.className   = 'intention-card-canonical';
+            canonical.textContent = `Canonical: ${entry.canonicalText}`;
+            content.append(canonical);
+        }
+
+        const details = document.createElement('div');
+        details.className   = 'intention-card-date';
+        details.textContent = [
+            formatted,
+            `${entry.hash.substring(0, 12)}...`,
+            `gen v${options.generatorVersion} · canon v${options.canonicalVersion}` +
+                (options.caseFold ? ' · casefold' : '') +
+                (options.mode === 'private' ? ' · 🔒 private' : '') +
+                ` · ♪ ${getTuningProfile(options.tuning).label}`
+        ].join(' \u00a0·\u00a0 ');
+        content.append(details);
+
+        const deleteBtn = document.createElement('button');
+        deleteBtn.className     = 'intention-delete-btn';
+        deleteBtn.dataset.index = index;
+        deleteBtn.textContent   = 'Delete';
+        card.append(content, deleteBtn);
+
+        content.addEventListener('click', async function() {
             document.getElementById('intentionInput').value = entry.text;
-            await generateMandala(entry.text);
+
+            // Private mandalas can only be reproduced with the owner's passphrase.
+            // The stored hash lets us confirm the passphrase before drawing anything.
+            // Each click gets its own options, so a mistyped passphrase never sticks to the card.
+            let reopenOptions = options;
+            if (options.mode === 'private') {
+                const passphrase = prompt('This is a private mandala. Enter its passphrase:');
+                if (passphrase === null) return;
+                reopenOptions = Object.assign({}, options, { passphrase, expectedHash: entry.hash });
+            }
+
+            await generateMandala(entry.text, reopenOptions);
         });
 
-        card.querySelector('.intention-delete-btn').addEventListener('click', function(e) {
+        deleteBtn.addEventListener('click', function(e) {
             e.stopPropagation();
             deleteIntention(index);
         });
@@ -373,13 +794,146 @@ async function analyzeIntention(intention) {
     }
 }
 
+// ─────────────────────────────────────────────
+// DOWNLOADS
+// ─────────────────────────────────────────────
+
+// Saves a Blob through a temporary link. The object URL is released once the
+// click has handed the file to the browser.
+function downloadBlob(blob, filename) {
+    const url  = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.download = filename;
+    link.href     = url;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+// ─────────────────────────────────────────────
+// PROVENANCE VERIFICATION
+// ─────────────────────────────────────────────
+
+// How each verifyPngFile() status is shown
+const VERIFY_VERDICTS = {
+    verified:     { title: '✅ Verified',                   tone: 'ok'   },
+    unverifiable: { title: '❔ Could not be re-checked',     tone: 'warn' },
+    missing:      { title: '❔ No provenance',               tone: 'warn' },
+    mismatch:     { title: '⚠️ Hash mismatch — tampered',   tone: 'bad'  },
+    damaged:      { title: '⚠️ Tampered or corrupted',      tone: 'bad'  },
+    invalid:      { title: '⚠️ Unreadable provenance',      tone: 'bad'  }
+};
+
+// Reads a dropped PNG's provenance, re-hashes it and shows the verdict.
+// Returns what to reopen — { text, options, style, projection } — or null
+// when nothing checks out. A file without its intention (always so for a
+// private mandala) reopens the matching entry from My Intentions instead,
+// asking for the passphrase if it is private. The mandala plays in the
+// recorded tuning; files exported before tunings were recorded play the
+// matching entry's tuning, or the original sound they were made with.
+async function checkPngProvenance(file) {
+    let bytes, record;
+    try {
+        bytes  = new Uint8Array(await file.arrayBuffer());
+        record = readPngProvenance(bytes).record;
+    } catch (e) {
+        showVerifyResult('invalid', `${file.name}: ${e.message}`, null);
+        return null;
+    }
+
+    // The same hash in My Intentions stands in for what the file doesn't record
+    const saved  = record && loadIntentions().find(entry => entry.hash === record.hash);
+    const tuning = record && (record.tuning || (saved ? entryProvenanceOptions(saved).tuning : LEGACY_TUNING));
+
+    const result = await verifyPngFile(bytes);
+    const reopen = (text, passphrase = '') => ({
+        text,
+        options:    Object.assign({}, result.options, { passphrase, tuning, expectedHash: record.hash }),
+        style:      record.style,
+        projection: record.projection
+    });
+
+    if (result.status === 'verified') {
+        showVerifyResult(result.status, result.message, record);
+        return reopen(record.intention);
+    }
+    // generateMandala() re-hashes the saved text against expectedHash
+    if (result.status === 'unverifiable' && saved) {
+        let passphrase = '';
+        if (record.mode === 'private') {
+            passphrase = prompt('This is a private mandala. Enter its passphrase to reopen it:');
+            if (passphrase === null) return null;
+        }
+        showVerifyResult(result.status, 'The intention was not embedded — reopening the matching entry from My Intentions', record);
+        return reopen(saved.text, passphrase);
+    }
+    showVerifyResult(result.status, result.message, record);
+    return null;
+}
+
+// Fills the verify section's result box. The record comes from a file, so it
+// is only ever written as text.
+function showVerifyResult(status, message, record) {
+    const box     = document.getElementById('verifyResult');
+    const verdict = VERIFY_VERDICTS[status];
+    box.className     = `verify-result verify-${verdict.tone}`;
+    box.style.display = 'block';
+    box.replaceChildren();
+
+    const title = document.createElement('strong');
+    title.textContent = verdict.title;
+    const detail = document.createElement('p');
+    detail.textContent = message;
+    box.append(title, detail);
+
+    if (!record) return;
+    const facts = [
+        ['MERIDIAN-HASH', record.hash],
+        ['Intention',     record.intention],
+        ['Generator',     record.generatorVersion != null ? `v${record.generatorVersion}` : null],
+        ['Style',         record.style],
+        ['Tuning',        TUNING_PROFILES[record.tuning] ? TUNING_PROFILES[record.tuning].label : record.tuning],
+        ['Created',       record.created],
+        ['App',           record.software && record.appVersion ? `${record.software} ${record.appVersion}` : null]
+    ];
+    const list = document.createElement('dl');
+    facts.filter(([, value]) => value != null).forEach(([label, value]) => {
+        const term = document.createElement('dt');
+        const data = document.createElement('dd');
+        term.textContent = label;
+        data.textContent = value;
+        list.append(term, data);
+    });
+    box.append(list);
+}
+
 // ─────────────────────────────────────────────
 // MANDALA GENERATION
 // ─────────────────────────────────────────────
 
-async function generateMandala(intentionText) {
+// New intentions use the current generator and canonicalization versions, with
+// case folding and private mode taken from the input section. Saved intentions
+// pass their recorded provenance options to reproduce the original mandala;
+// expectedHash, when set, rejects a private mandala reopened with the wrong passphrase.
+// The intention is hashed and checked before anything on screen changes.
+// Returns the hash, or null when nothing was drawn.
+async function generateMandala(intentionText, options = newIntentionOptions()) {
+    if (options.mode === 'private' && !options.passphrase) {
+        alert('Please enter a passphrase for your private mandala.');
+        return null;
+    }
+
+    const prepared = await MandalaGenerator.prepareIntention(intentionText, options);
+    const hash     = prepared.hashed.hash;
+    if (options.expectedHash && hash !== options.expectedHash) {
+        alert(options.mode === 'private'
+            ? 'That passphrase does not reproduce this private mandala.'
+            : 'This intention no longer reproduces its recorded MERIDIAN-HASH.');
+        return null;
+    }
+
     const mandalaSection  = document.getElementById('mandalaSection');
     const hashDisplay     = document.getElementById('hashDisplay');
+    const canonicalDisplay = document.getElementById('canonicalDisplay');
     const muteBtn         = document.getElementById('muteBtn');
     const mandalaWrapper  = document.getElementById('mandalaWrapper');
     const sessionComplete = document.getElementById('sessionComplete');
@@ -398,20 +952,79 @@ async function generateMandala(intentionText) {
 
     if (audioEngine) audioEngine.stop();
 
-    const hash = await mandalaGen.generate(intentionText);
+    mandalaGen.applyPrepared(prepared, intentionText);
     currentHash        = hash;
-    currentHashNumbers = mandalaGen.hashNumbers;
+    currentSpec        = mandalaGen.spec;
 
     hashDisplay.textContent = hash.substring(0, 16) + '...';
+    canonicalDisplay.textContent = `"${mandalaGen.canonicalText}" (canon v${mandalaGen.canonicalVersion}` +
+                                   `${mandalaGen.caseFold ? ', case folded' : ''})`;
     mandalaGen.startBreathing();
 
+    // Saved intentions play in the tuning they were saved with
+    if (audioEngine && options.tuning) playInTuning(options.tuning);
+
     // Save to local storage after successful generation
-    saveIntention(intentionText, hash);
+    saveIntention(intentionText, mandalaGen.getProvenance(), audioEngine ? audioEngine.tuning : options.tuning);
 
     if (audioEngine) {
-        audioEngine.start(currentHashNumbers);
+        audioEngine.start(currentSpec);
         muteBtn.textContent = '🔊 Mute Audio';
+        showTuningFrequencies();
+    }
+    return hash;
+}
+
+// Puts the audio engine in a tuning for the intention playing. The picker keeps
+// the user's choice for new intentions. Unknown names (an entry saved by a newer
+// release) fall back to the default tuning. Returns the tuning used.
+function playInTuning(name) {
+    const resolved = TUNING_PROFILES[name] ? name : DEFAULT_TUNING;
+    if (resolved !== name) console.warn(`Unknown tuning "${name}"; using ${DEFAULT_TUNING}.`);
+
+    audioEngine.setTuning(resolved);
+    showTuningFrequencies();
+    return resolved;
+}
+
+// Puts the audio engine and the tuning picker in a tuning
+function selectTuning(name) {
+    document.getElementById('tuningSelect').value = playInTuning(name);
+}
+
+// The pitches actually sounding, e.g.
+// "heartbeat 106.5 Hz · harmonic 568 Hz (852 Hz ÷ 1.5) · tanpura Sa 142 Hz ·
+//  melody in Raga Yaman · binaural 340.8 Hz beating at 7.83 Hz"
+function showTuningFrequencies() {
+    const display = document.getElementById('tuningDisplay');
+    const hz      = audioEngine.frequencies();
+    if (!hz) { display.textContent = ''; return; }
+
+    const parts = [
+        `heartbeat ${formatHz(hz.heartbeat)}`,
+        `harmonic ${formatHz(hz.harmonic)} (${formatHz(hz.root)} ÷ ${Number(hz.interval.toFixed(3))})`,
+        `tanpura Sa ${formatHz(hz.tanpura)}`,
+        `melody in ${MUSICAL_SCALES[hz.melody].label}`
+    ];
+    if (hz.carrier) {
+        const beat = audioEngine.entrainmentMode === 'isochronic' ? 'pulsed at' : 'beating at';
+        parts.push(`${audioEngine.entrainmentMode} ${formatHz(hz.carrier)} ${beat} ${formatHz(hz.rate)}`);
     }
+    display.textContent = `${audioEngine.tuningProfile().label} — ${parts.join(' · ')}`;
+}
+
+// Options for a freshly typed intention — current versions plus the user's
+// case-folding and private-mode choices from the input section and the chosen tuning
+function newIntentionOptions() {
+    const isPrivate = document.getElementById('privateToggle').checked;
+    return {
+        generatorVersion: CURRENT_GENERATOR_VERSION,
+        canonicalVersion: CURRENT_CANONICAL_VERSION,
+        caseFold:         document.getElementById('caseFoldToggle').checked,
+        mode:             isPrivate ? 'private' : 'public',
+        passphrase:       isPrivate ? document.getElementById('passphraseInput').value : '',
+        tuning:           document.getElementById('tuningSelect').value
+    };
 }
 
 // ─────────────────────────────────────────────
@@ -458,7 +1071,8 @@ function updateCountdownDisplay(seconds) {
         `${String(h).padStart(2,'0')}:${String(m).padStart(2,'0')}:${String(s).padStart(2,'0')}`;
 }
 
-// Cancels a running timer and restores the wheel picker UI
+// Cancels a running timer and restores the wheel picker UI.
+// A recording of the whole session ends with it (and is still saved).
 function cancelTimer() {
     if (timerInterval) {
         clearInterval(timerInterval);
@@ -466,6 +1080,8 @@ function cancelTimer() {
     }
     timerSeconds = 0;
 
+    if (recordingWholeSession) sessionRecorder.stop();
+
     const wheelPicker   = document.getElementById('wheelPicker');
     const startTimerBtn = document.getElementById('startTimerBtn');
     const timerLabel    = document.querySelector('.timer-label');
@@ -479,25 +1095,27 @@ function cancelTimer() {
 
 // Called when countdown reaches zero.
 // Spiral dissolve and audio fade run simultaneously over 8 seconds.
-// Session complete screen appears after dissolve finishes.
+// Session complete screen appears after dissolve finishes — and a
+// whole-session recording ends there, dissolve included.
 function completeSession() {
     const timerSection    = document.getElementById('timerSection');
     const sessionComplete = document.getElementById('sessionComplete');
 
     timerSection.style.display = 'none';
 
-    if (mandalaGen) mandalaGen.spiralDissolve(8000);
+    if (mandalaGen) mandalaGen.spiralDissolve(DISSOLVE_MS);
 
     if (audioEngine && audioEngine.masterGain && audioEngine.ctx) {
         audioEngine.masterGain.gain.linearRampToValueAtTime(
             0,
-            audioEngine.ctx.currentTime + 8
+            audioEngine.ctx.currentTime + DISSOLVE_MS / 1000
         );
     }
 
     setTimeout(() => {
+        if (recordingWholeSession) sessionRecorder.stop();
         if (audioEngine) audioEngine.stop();
         sessionComplete.style.display = 'block';
         sessionComplete.scrollIntoView({ behavior: 'smooth' });
-    }, 8000);
+    }, DISSOLVE_MS);
 }
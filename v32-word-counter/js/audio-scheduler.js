@@ -0,0 +1,105 @@
+// audio-scheduler.js - Lookahead note scheduler for IntentionAudioEngine
+//
+// setInterval() callbacks run on the main thread: they fire late whenever a
+// frame takes long to draw, and browsers throttle them in background tabs.
+// Starting notes from them makes the rhythm jitter, drift and bunch up.
+//
+// Instead a short timer only *plans*: every SCHEDULER_TICK_MS it queues each
+// note due in the next few hundred milliseconds at its exact time on the
+// AudioContext clock, which runs on the audio thread and never stutters. A
+// late timer eats into the lookahead, not into the rhythm.
+//
+// A track is a repeating event: { period, offset, play(time, beat) }, times
+// in seconds. Beat n of a track falls at origin + offset + n × period —
+// computed from n, never accumulated, so nothing drifts over a long session.
+// play() is handed the AudioContext time to start its nodes at and the beat
+// number; it may decide to stay silent on some beats.
+
+// How often the planning timer runs
+const SCHEDULER_TICK_MS = 25;
+
+// How far ahead notes are queued. Hidden tabs get timers about once a second,
+// so the lookahead stretches to bridge the gap.
+const SCHEDULER_LOOKAHEAD        = 0.3;
+const SCHEDULER_LOOKAHEAD_HIDDEN = 1.5;
+
+// Gap between start() and beat 0, so the first notes aren't already late
+const SCHEDULER_START_DELAY = 0.05;
+
+class AudioScheduler {
+    constructor(ctx) {
+        this.ctx    = ctx;
+        this.tracks = [];
+        this.origin = 0;
+        this.timer  = null;
+    }
+
+    get running() {
+        return this.timer !== null;
+    }
+
+    // Adds a track; it joins on its next beat if the scheduler is running
+    add(track) {
+        const entry = Object.assign({ offset: 0 }, track, { beat: 0 });
+        if (!(entry.period > 0)) {
+            throw new Error('A scheduled track needs a period greater than zero');
+        }
+        if (this.running) entry.beat = this.firstBeatAfter(entry, this.ctx.currentTime);
+        this.tracks.push(entry);
+        return entry;
+    }
+
+    // Beat 0 of every track is at `origin` (AudioContext time) plus its offset
+    start(origin = this.ctx.currentTime + SCHEDULER_START_DELAY) {
+        this.stop();
+        this.origin = origin;
+        this.tracks.forEach(track => { track.beat = 0; });
+        this.tick();
+        this.timer = setInterval(() => this.tick(), SCHEDULER_TICK_MS);
+    }
+
+    // Stops planning. Notes already queued still play — the engine silences
+    // its voice bus for that.
+    stop() {
+        if (this.timer !== null) clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    // AudioContext time of a track's beat
+    timeOf(track, beat) {
+        return this.origin + track.offset + beat * track.period;
+    }
+
+    firstBeatAfter(track, time) {
+        return Math.max(0, Math.ceil((time - this.origin - track.offset) / track.period));
+    }
+
+    lookahead() {
+        const hidden = typeof document !== 'undefined' && document.hidden;
+        return hidden ? SCHEDULER_LOOKAHEAD_HIDDEN : SCHEDULER_LOOKAHEAD;
+    }
+
+    // Queues every beat due before now + lookahead. Beats whose time has
+    // already passed (the timer stalled past the lookahead) are dropped rather
+    // than played late in a burst.
+    tick() {
+        const now     = this.ctx.currentTime;
+        const horizon = now + this.lookahead();
+
+        for (const track of this.tracks) {
+            if (this.timeOf(track, track.beat) < now) {
+                track.beat = this.firstBeatAfter(track, now);
+            }
+            for (let time = this.timeOf(track, track.beat); time < horizon; time = this.timeOf(track, track.beat)) {
+                track.play(time, track.beat);
+                track.beat++;
+            }
+        }
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        AudioScheduler
+    };
+}
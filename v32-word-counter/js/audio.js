@@ -1,4 +1,4 @@
-// audio.js - Two-layer sacred audio engine for the Intention Keeper
+// audio.js - Layered sacred audio engine for the Intention Keeper
 //
 // LAYER 1: Heartbeat pulse at 7.83 Hz — the Schumann Resonance.
 // Earth's natural electromagnetic frequency, often called the planet's heartbeat.
@@ -14,6 +14,86 @@
 //
 // The harmonic interval applied to 852 Hz is hash-derived — so each intention
 // produces a unique overtone while remaining rooted in the same sacred frequency.
+// The note is a Karplus-Strong plucked string with a buzzing jawari bridge and
+// sympathetic strings tuned to the tanpura (string-synth.js), not a sample.
+//
+// DRONE: a four-string tanpura under the heartbeat, plucked Pa-Sa-Sa-Sa over
+// and over so the strings overlap into one continuous drone. Its Sa is an
+// interval below the root picked by the hash, like the harmonic's (or the
+// raga's Sa in a raga tuning).
+//
+// MELODY: the whole hash as a sparse phrase over the heartbeat, an octave
+// above the tanpura's Sa (hash-melody.js) — each intention's sonic signature.
+//
+// 852 Hz is the default tuning profile. The listener can pick another
+// (tuning-profiles.js) — Solfeggio tones 174-963 Hz, A = 432 or 440 concert
+// tuning, raga scales — which sets the heartbeat pitch, the harmonic's root and
+// the intervals the hash chooses from. frequencies() reports what is playing.
+//
+// LAYER 3 (optional): an entrainment tone beating at the same rate as the
+// heartbeat, for listeners who want more than a rhythm at 7.83 Hz.
+//   binaural   — two sustained carriers, one per ear, a rate apart; the beat is
+//                made in the brain, so it needs headphones
+//   monaural   — the same two carriers mixed into both ears; beats in the air
+//   isochronic — one carrier switched on and off at the rate
+// The carrier is an interval below the tuning's root, picked by the hash from
+// the same table as the sitar harmonic and moved by octaves into 250-500 Hz —
+// 284-379 Hz in the 852 Hz tuning. The rate is 7.83 Hz unless the listener
+// picks a target band.
+//
+// Every rhythmic layer is a track on an AudioScheduler (audio-scheduler.js): every hit
+// is queued ahead at an exact AudioContext time, so the rhythm holds steady
+// while the page is busy drawing or the tab is in the background.
+
+// The harmonic answers the heartbeat this far into the beat — call and response
+const SITAR_OFFSET_BEATS = 0.75;
+
+// Sympathetic strings of the sitar, as multiples of the tanpura's Sa: Sa, Pa, upper Sa
+const SITAR_SYMPATHETIC = [1, 1.5, 2];
+
+// Tanpura strings in plucking order, as multiples of Sa: Pa below Sa, Sa, Sa,
+// and the low Sa an octave down
+const TANPURA_STRINGS = [0.75, 1, 1, 0.5];
+
+// Roughly the gap between tanpura plucks; rounded to whole beats
+const TANPURA_STEP_SECONDS = 0.8;
+
+// Roughly the length of one melody step; rounded to whole beats. The phrase
+// has a step per hash byte, so it repeats about every 16 seconds.
+const MELODY_STEP_SECONDS = 0.5;
+
+// Peak gain of each plucked voice (rendered notes peak at 1). Melody notes
+// are scaled down from this by their velocity.
+const SITAR_LEVEL   = 1.5;
+const TANPURA_LEVEL = 0.5;
+const MELODY_LEVEL  = 0.9;
+
+// Rendered string notes kept as AudioBuffers, least recently used dropped
+// first. One start() needs at most 12: sitar, three tanpura pitches and eight
+// melody notes.
+const STRING_CACHE_SIZE = 24;
+
+// Entrainment layer choices, offered in the picker built in app.js
+const ENTRAINMENT_MODES = {
+    pulse:      { label: '〰 Pulse Only' },
+    binaural:   { label: '🎧 Binaural (headphones)' },
+    monaural:   { label: 'Monaural Beat' },
+    isochronic: { label: 'Isochronic Tone' }
+};
+
+// Target bands that replace the 7.83 Hz default rate of every layer.
+// Each rate sits inside its EEG band: delta 0.5-4, theta 4-8, alpha 8-12 Hz.
+const ENTRAINMENT_BANDS = {
+    delta: { label: 'Delta · 2 Hz (deep rest)',      hz: 2 },
+    theta: { label: 'Theta · 6 Hz (meditation)',     hz: 6 },
+    alpha: { label: 'Alpha · 10 Hz (relaxed focus)', hz: 10 }
+};
+
+// Carrier loudness — a bed under the heartbeat, not over it
+const ENTRAINMENT_LEVEL = 0.3;
+
+// Seconds for the sustained carriers to swell in
+const ENTRAINMENT_FADE_IN = 2;
 
 class IntentionAudioEngine {
     constructor() {
@@ -22,25 +102,42 @@ class IntentionAudioEngine {
         this.masterGain = null;
         this.compressor = null;
 
-        // Interval handles — cleared on stop()
-        this.heartbeatInterval = null;
-        this.sitarInterval     = null;
+        // Lookahead scheduler for the current soundscape, and the gain every
+        // voice of it plays through — cut on stop() to silence queued notes
+        this.scheduler = null;
+        this.voices    = null;
+
+        // Sustained entrainment oscillators, stopped on stop()
+        this.drones = [];
+
+        // Rendered plucked-string notes, keyed by voice and pitch (stringBuffer()),
+        // the renders still running by the same keys, and the renderer (made with the context)
+        this.strings        = new Map();
+        this.pendingStrings = new Map();
+        this.stringRenderer = null;
+
+        // Entrainment layer: an ENTRAINMENT_MODES key, and an ENTRAINMENT_BANDS
+        // key or null for the Schumann default. Changed with setEntrainment().
+        this.entrainmentMode = 'pulse';
+        this.entrainmentBand = null;
+
+        // Tuning profile (tuning-profiles.js) — heartbeat pitch, harmonic root
+        // and allowed intervals. Changed with setTuning().
+        this.tuning = DEFAULT_TUNING;
+
+        // MandalaSpec of the current soundscape, from extractAudioParams()
+        this.spec = null;
 
         this.muted   = false;
         this.running = false;
 
+        // MediaStreamAudioDestinationNode feeding a session recording, if one is running
+        this.recordingDestination = null;
+
         // CLINICAL CONSTANT: 7.83 Hz — Schumann Resonance, Earth's electromagnetic heartbeat.
         // Kept fixed across all intentions — this is the grounding anchor of the soundscape.
+        // A target band chosen by the listener overrides it (entrainmentRate()).
         this.ENTRAINMENT_HZ = 7.83;
-
-        // SACRED CONSTANT: 852 Hz — Third Eye Chakra (Ajna) Solfeggio frequency.
-        // Promotes spiritual insight and intuitive clarity — aligned with intention setting.
-        // Kept fixed so the spiritual resonance is consistent across all intentions.
-        this.THIRD_EYE_HZ = 53.25;
-
-        // Hash-derived harmonic interval — set in extractAudioParams().
-        // Varies per intention so each sitar tone is unique while staying consonant with 852 Hz.
-        this.harmonicInterval = 1.5;
     }
 
     // Initializes AudioContext and processing chain: Layers → Compressor → MasterGain → Speakers.
@@ -63,118 +160,394 @@ class IntentionAudioEngine {
 
         this.compressor.connect(this.masterGain);
         this.masterGain.connect(this.ctx.destination);
+
+        this.stringRenderer = new StringRenderer(this.ctx.sampleRate);
     }
 
-    // Extracts only the hash-derived harmonic interval.
-    // The two sacred frequencies (7.83 Hz and 852 Hz) are fixed.
-    // Only the sitar's harmonic relationship to 852 Hz varies per intention.
-    extractAudioParams(hashNumbers) {
-        // Selects from Indian classical raga-compatible consonant intervals.
-        // Applied as a divisor rather than multiplier to keep the sitar
-        // in a lower, more meditative register relative to 852 Hz.
-        // 1.5 = perfect fifth, 1.333 = perfect fourth,
-        // 1.25 = major third, 1.125 = major second
-        const intervals = [1.5, 1.333, 1.25, 1.125];
-        this.harmonicInterval = intervals[hashNumbers[14] % 4];
+    // Keeps the MandalaSpec for its hash-derived intervals. The tuning profile
+    // fixes the pitches; only the sitar's and the entrainment carrier's
+    // relationship to them varies per intention. The interval choices live in
+    // generator-profiles.js so the same intention always sounds the same across releases.
+    extractAudioParams(spec) {
+        this.spec = spec;
     }
 
-    // Heartbeat pulse locked to 7.83 Hz Schumann Resonance.
-    // A soft sine wave burst — felt more than heard, like a distant drum.
-    // Pitch bend downward on attack gives it organic, drum-like quality.
-    // Lower frequency (852 * 0.15 = ~128 Hz) keeps it deep and grounding.
-    startHeartbeat() {
-        const intervalMs = 1000 / this.ENTRAINMENT_HZ; // ~128ms at 7.83 Hz
+    tuningProfile() {
+        return getTuningProfile(this.tuning);
+    }
+
+    // Divisor of the harmonic's root for this intention in the current tuning
+    harmonicInterval() {
+        return tuningInterval(this.tuningProfile(), this.spec);
+    }
 
-        this.heartbeatInterval = setInterval(() => {
-            if (!this.ctx || this.muted) return;
+    harmonicHz() {
+        return this.tuningProfile().rootHz / this.harmonicInterval();
+    }
+
+    // What the soundscape plays, in Hz — for display. null before the first start().
+    frequencies() {
+        if (!this.spec) return null;
+        const profile = this.tuningProfile();
+        return {
+            heartbeat: profile.heartbeatHz,
+            root:      profile.rootHz,
+            interval:  this.harmonicInterval(),
+            harmonic:  this.harmonicHz(),
+            tanpura:   this.tanpuraHz(),
+            melody:    this.melodyPhrase().scale,
+            carrier:   this.entrainmentMode === 'pulse' ? null : this.carrierHz(),
+            rate:      this.entrainmentRate()
+        };
+    }
+
+    // Switches tuning profile (a TUNING_PROFILES key); a running soundscape
+    // restarts in the new tuning
+    setTuning(name) {
+        if (!TUNING_PROFILES[name]) {
+            throw new Error(`Unknown tuning "${name}"`);
+        }
+        this.tuning = name;
+        if (this.running) this.restart();
+    }
+
+    // Starts the current soundscape over with changed settings, keeping its mute state
+    restart() {
+        const muted = this.muted;
+        this.start(this.spec);
+        this.muted = muted;
+    }
+
+    // Beats per second of every layer — 7.83 Hz unless a target band is chosen
+    entrainmentRate() {
+        const band = ENTRAINMENT_BANDS[this.entrainmentBand];
+        return band ? band.hz : this.ENTRAINMENT_HZ;
+    }
 
-            const osc  = this.ctx.createOscillator();
-            const gain = this.ctx.createGain();
+    // Seconds per heartbeat — the unit every layer's rhythm is counted in
+    beatSeconds() {
+        return 1 / this.entrainmentRate(); // ~128ms at 7.83 Hz
+    }
 
-            // Bass hit tuned to a sub-harmonic of 852 Hz for tonal coherence
-            const hitFreq = this.THIRD_EYE_HZ * 0.15; // ~128 Hz — warm bass thud
-            osc.type = 'sine';
-            osc.frequency.setValueAtTime(hitFreq * 1.3, this.ctx.currentTime);
-            osc.frequency.exponentialRampToValueAtTime(hitFreq, this.ctx.currentTime + 0.06);
+    // Picks the entrainment layer. mode: an ENTRAINMENT_MODES key; band: an
+    // ENTRAINMENT_BANDS key, or null for 7.83 Hz. A running soundscape restarts
+    // with the change, keeping its mute state.
+    setEntrainment(mode, band) {
+        if (!ENTRAINMENT_MODES[mode]) {
+            throw new Error(`Unknown entrainment mode "${mode}"`);
+        }
+        if (band != null && !ENTRAINMENT_BANDS[band]) {
+            throw new Error(`Unknown entrainment band "${band}"`);
+        }
+        this.entrainmentMode = mode;
+        this.entrainmentBand = band == null ? null : band;
 
-            // Soft attack, medium decay — more like a felt pulse than a sharp drum hit
-            gain.gain.setValueAtTime(0, this.ctx.currentTime);
-            gain.gain.linearRampToValueAtTime(1.5, this.ctx.currentTime + 0.01);
-            gain.gain.exponentialRampToValueAtTime(0.001, this.ctx.currentTime + 0.5);
+        if (this.running) this.restart();
+    }
 
-            osc.connect(gain);
-            gain.connect(this.compressor);
-            osc.start(this.ctx.currentTime);
-            osc.stop(this.ctx.currentTime + 0.55);
+    // Heartbeat pulse locked to 7.83 Hz Schumann Resonance — one hit per beat.
+    startHeartbeat() {
+        this.scheduler.add({
+            period: this.beatSeconds(),
+            play:   (time) => { if (!this.muted) this.playHeartbeat(time); }
+        });
+    }
 
-        }, intervalMs);
+    // A soft sine wave burst at AudioContext time `time` — felt more than heard,
+    // like a distant drum. Pitch bend downward on attack gives it organic,
+    // drum-like quality. Pitched by the tuning profile in the bass (852 Hz three
+    // octaves down = 106.5 Hz by default), it stays deep and grounding.
+    playHeartbeat(time) {
+        const osc  = this.ctx.createOscillator();
+        const gain = this.ctx.createGain();
+
+        // Bass hit tuned to a sub-harmonic of the root for tonal coherence
+        const hitFreq = this.tuningProfile().heartbeatHz;
+        osc.type = 'sine';
+        osc.frequency.setValueAtTime(hitFreq * 1.3, time);
+        osc.frequency.exponentialRampToValueAtTime(hitFreq, time + 0.06);
+
+        // Soft attack, medium decay — more like a felt pulse than a sharp drum hit
+        gain.gain.setValueAtTime(0, time);
+        gain.gain.linearRampToValueAtTime(1.5, time + 0.01);
+        gain.gain.exponentialRampToValueAtTime(0.001, time + 0.5);
+
+        osc.connect(gain);
+        gain.connect(this.voices);
+        osc.start(time);
+        osc.stop(time + 0.55);
     }
 
-    // Sitar-inspired harmonic tone rooted at 852 Hz — Third Eye Chakra frequency.
-    // Fires on every other heartbeat for a slow, contemplative rhythm.
-    // Triangle wave approximates the warm, bright quality of a plucked sitar string.
-    // The harmonic interval shifts the pitch slightly per intention via hash bytes,
-    // keeping each meditation session tonally unique while staying consonant with 852 Hz.
+    // Sitar-inspired harmonic on every other heartbeat for a slow, contemplative
+    // rhythm, landing SITAR_OFFSET_BEATS after its heartbeat — call and response.
     startSitarHarmonic() {
-        const beatMs     = 1000 / this.ENTRAINMENT_HZ;
-        const intervalMs = beatMs * 2; // fires every other heartbeat
+        const beat = this.beatSeconds();
+        this.scheduler.add({
+            period: beat * 2,
+            offset: beat * SITAR_OFFSET_BEATS,
+            play:   (time) => { if (!this.muted) this.playSitar(time); }
+        });
+    }
+
+    // Harmonic tone rooted at the tuning's root — 852 Hz, Third Eye Chakra, by default.
+    // A plucked sitar string whose sympathetic strings ring with the tanpura.
+    // The harmonic interval shifts the pitch per intention via hash bytes,
+    // keeping each meditation session tonally unique while staying consonant with the root.
+    // 852 / 1.5 = 568 Hz, 852 / 1.333 = 639 Hz, etc. — all meditative ranges.
+    playSitar(time) {
+        this.playString(time, this.sitarBuffer(), SITAR_LEVEL);
+    }
+
+    sitarBuffer() {
+        const sa = this.tanpuraHz();
+        return this.stringBuffer(SITAR_VOICE, this.harmonicHz(), SITAR_SYMPATHETIC.map(ratio => sa * ratio));
+    }
+
+    // The tanpura's Sa in the current tuning
+    tanpuraHz() {
+        return tuningDroneHz(this.tuningProfile(), this.spec);
+    }
+
+    // Tanpura drone: one string plucked every step, cycling through TANPURA_STRINGS.
+    // Each string rings on through the next three plucks, so the drone never stops.
+    startTanpura() {
+        const beat = this.beatSeconds();
+        this.scheduler.add({
+            period: Math.max(1, Math.round(TANPURA_STEP_SECONDS / beat)) * beat,
+            play:   (time, pluck) => {
+                if (!this.muted) this.playTanpura(time, TANPURA_STRINGS[pluck % TANPURA_STRINGS.length]);
+            }
+        });
+    }
+
+    playTanpura(time, ratio) {
+        this.playString(time, this.stringBuffer(TANPURA_VOICE, this.tanpuraHz() * ratio), TANPURA_LEVEL);
+    }
+
+    // The hash's phrase, in the tuning's raga if it has one
+    melodyPhrase() {
+        const scale = this.tuningProfile().scale;
+        return scale ? composeHashMelody(this.spec.hash, scale) : composeHashMelody(this.spec.hash);
+    }
+
+    // Melody notes sit an octave above the tanpura's Sa
+    melodyHz(note) {
+        return this.tanpuraHz() * 2 * note.ratio;
+    }
+
+    // One melody step per track beat; rests are steps with no note
+    startMelody() {
+        const phrase = this.melodyPhrase();
+        const beat   = this.beatSeconds();
+        this.scheduler.add({
+            period: Math.max(1, Math.round(MELODY_STEP_SECONDS / beat)) * beat,
+            play:   (time, step) => {
+                const note = phrase.steps[step % phrase.steps.length];
+                if (note && !this.muted) this.playMelody(time, note);
+            }
+        });
+    }
+
+    playMelody(time, note) {
+        this.playString(time, this.stringBuffer(MELODY_VOICE, this.melodyHz(note)), MELODY_LEVEL * note.velocity);
+    }
+
+    // A rendered note played through the voice bus at AudioContext time `time`.
+    // A note not rendered yet (null buffer) is skipped — start() waits for every
+    // note it needs, so that only happens to one evicted from the cache since.
+    playString(time, buffer, level) {
+        if (!buffer) return;
+        const source = this.ctx.createBufferSource();
+        const gain   = this.ctx.createGain();
+        source.buffer = buffer;
+        gain.gain.setValueAtTime(level, time);
+
+        source.connect(gain);
+        gain.connect(this.voices);
+        source.start(time);
+    }
 
-        // Small offset so sitar lands just after the heartbeat — call and response feel
-        setTimeout(() => {
-            this.sitarInterval = setInterval(() => {
-                if (!this.ctx || this.muted) return;
+    // AudioBuffer of a plucked note (pluckString(), string-synth.js), or null
+    // until it has been rendered. Rendering takes tens of milliseconds a note,
+    // so it runs off the main thread (StringRenderer) and start() asks for every
+    // note it will need up front; the first asking starts it.
+    stringBuffer(voice, hz, sympatheticHz = []) {
+        const key    = `${voice.name}:${hz}:${sympatheticHz.join(',')}`;
+        const buffer = this.strings.get(key);
+        if (buffer) {
+            // Maps keep insertion order: re-inserting marks the note most recently used
+            this.strings.delete(key);
+            this.strings.set(key, buffer);
+            return buffer;
+        }
+        if (this.pendingStrings.has(key)) return null;
+
+        // Settles either way; a failed note is forgotten, so asking again retries it
+        const render = this.stringRenderer.render(hz, voice, sympatheticHz).then((samples) => {
+            const rendered = this.ctx.createBuffer(1, samples.length, this.ctx.sampleRate);
+            rendered.getChannelData(0).set(samples);
+            if (this.strings.size >= STRING_CACHE_SIZE) this.strings.delete(this.strings.keys().next().value);
+            this.strings.set(key, rendered);
+        }, (e) => {
+            console.warn(`Could not render the ${voice.name} note at ${hz} Hz:`, e.message);
+        }).then(() => this.pendingStrings.delete(key));
+
+        this.pendingStrings.set(key, render);
+        return null;
+    }
 
-                const osc  = this.ctx.createOscillator();
-                const gain = this.ctx.createGain();
+    // Starts rendering the sitar note, every tanpura string and every melody
+    // note. Resolves once none of them is still rendering.
+    prepareStrings() {
+        this.sitarBuffer();
+        TANPURA_STRINGS.forEach(ratio => this.stringBuffer(TANPURA_VOICE, this.tanpuraHz() * ratio));
+        this.melodyPhrase().steps
+            .filter(note => note)
+            .forEach(note => this.stringBuffer(MELODY_VOICE, this.melodyHz(note)));
+        return Promise.all(this.pendingStrings.values());
+    }
 
-                osc.type = 'triangle';
-                // Divide by harmonic interval to bring frequency down into comfortable range.
-                // 852 / 1.5 = 568 Hz, 852 / 1.333 = 639 Hz, etc. — all meditative ranges.
-                osc.frequency.setValueAtTime(
-                    this.THIRD_EYE_HZ / this.harmonicInterval,
-                    this.ctx.currentTime
-                );
+    // Entrainment carrier at the hash's interval below the tuning's root
+    carrierHz() {
+        return tuningCarrierHz(this.tuningProfile(), this.spec);
+    }
 
-                // Plucked string envelope: fast attack, slow decay
-                gain.gain.setValueAtTime(0, this.ctx.currentTime);
-                gain.gain.linearRampToValueAtTime(1.5, this.ctx.currentTime + 0.008);
-                gain.gain.exponentialRampToValueAtTime(0.001, this.ctx.currentTime + 0.8);
+    // Layer 3, per entrainmentMode. Sustained carriers start on the scheduler's
+    // first beat; isochronic pulses are a scheduler track like the heartbeat.
+    startEntrainment() {
+        const carrier = this.carrierHz();
+        const rate    = this.entrainmentRate();
+
+        if (this.entrainmentMode === 'isochronic') {
+            this.scheduler.add({
+                period: this.beatSeconds(),
+                play:   (time) => { if (!this.muted) this.playIsochronic(time, carrier); }
+            });
+        } else if (this.entrainmentMode === 'binaural') {
+            // Hard left and right: merger input 0 is the left channel, 1 the right
+            const merger = this.ctx.createChannelMerger(2);
+            this.startDrone(carrier).connect(merger, 0, 0);
+            this.startDrone(carrier + rate).connect(merger, 0, 1);
+            merger.connect(this.droneBus());
+        } else if (this.entrainmentMode === 'monaural') {
+            const bus = this.droneBus();
+            this.startDrone(carrier).connect(bus);
+            this.startDrone(carrier + rate).connect(bus);
+        }
+    }
+
+    // Gain the sustained carriers swell in through, on the voice bus
+    droneBus() {
+        const origin = this.scheduler.origin;
+        const gain   = this.ctx.createGain();
+        gain.gain.setValueAtTime(0, origin);
+        gain.gain.setTargetAtTime(ENTRAINMENT_LEVEL, origin, ENTRAINMENT_FADE_IN / 3);
+        gain.connect(this.voices);
+        return gain;
+    }
 
-                osc.connect(gain);
-                gain.connect(this.compressor);
-                osc.start(this.ctx.currentTime);
-                osc.stop(this.ctx.currentTime + 0.85);
+    // A sine at freq sounding from the first beat until stop()
+    startDrone(freq) {
+        const osc = this.ctx.createOscillator();
+        osc.type = 'sine';
+        osc.frequency.setValueAtTime(freq, this.scheduler.origin);
+        osc.start(this.scheduler.origin);
+        this.drones.push(osc);
+        return osc;
+    }
 
-            }, intervalMs);
-        }, 100); // 100ms after heartbeat
+    // One isochronic pulse: the carrier on for the first half of the beat.
+    // 5ms edges keep the switching from clicking.
+    playIsochronic(time, carrier) {
+        const osc  = this.ctx.createOscillator();
+        const gain = this.ctx.createGain();
+        const on   = this.beatSeconds() / 2;
+
+        osc.type = 'sine';
+        osc.frequency.setValueAtTime(carrier, time);
+
+        gain.gain.setValueAtTime(0, time);
+        gain.gain.linearRampToValueAtTime(ENTRAINMENT_LEVEL, time + 0.005);
+        gain.gain.setValueAtTime(ENTRAINMENT_LEVEL, time + on - 0.005);
+        gain.gain.linearRampToValueAtTime(0, time + on);
+
+        osc.connect(gain);
+        gain.connect(this.voices);
+        osc.start(time);
+        osc.stop(time + on + 0.01);
     }
 
-    // Starts both audio layers simultaneously.
+    // Starts the heartbeat, the harmonic, the tanpura, the melody and any
+    // entrainment layer together.
     // Called automatically when the mandala appears — the Generate button click
     // satisfies the browser user-gesture requirement for AudioContext.
-    start(hashNumbers) {
+    // The first beat waits until every string note is rendered, so the drone
+    // and melody sound from their first pluck; notes already cached don't delay it.
+    // Returns a promise of that first beat being scheduled.
+    start(spec) {
         if (this.running) this.stop();
 
         this.initContext();
-        this.extractAudioParams(hashNumbers);
+        this.extractAudioParams(spec);
 
         if (this.ctx.state === 'suspended') this.ctx.resume();
 
+        this.voices = this.ctx.createGain();
+        this.voices.connect(this.compressor);
+
+        const scheduler = this.scheduler = new AudioScheduler(this.ctx);
         this.startHeartbeat();
         this.startSitarHarmonic();
+        this.startTanpura();
+        this.startMelody();
 
         this.running = true;
         this.muted   = false;
+
+        return this.prepareStrings().then(() => {
+            // Stopped, or started again with another soundscape, while rendering
+            if (this.scheduler !== scheduler) return;
+            scheduler.start();
+            this.startEntrainment();
+        });
     }
 
-    // Stops both layers and clears all intervals.
+    // Stops every layer. Notes the scheduler already queued are faded out
+    // with their voice bus, so nothing rings on into the next soundscape.
     // Always call before generating a new mandala to prevent overlapping soundscapes.
     stop() {
-        if (this.heartbeatInterval) { clearInterval(this.heartbeatInterval); this.heartbeatInterval = null; }
-        if (this.sitarInterval)     { clearInterval(this.sitarInterval);     this.sitarInterval     = null; }
+        if (this.scheduler) {
+            this.scheduler.stop();
+            this.scheduler = null;
+        }
+        this.drones.forEach(osc => osc.stop(this.ctx.currentTime + 0.2));
+        this.drones = [];
+        if (this.voices) {
+            const voices = this.voices;
+            voices.gain.setTargetAtTime(0, this.ctx.currentTime, 0.02);
+            setTimeout(() => voices.disconnect(), 200);
+            this.voices = null;
+        }
         this.running = false;
     }
 
+    // Taps the master gain into a MediaStream for SessionRecorder (session-recorder.js),
+    // so a recording hears exactly what the speakers do — mute and the end-of-session
+    // fade included. Returns null before the AudioContext exists.
+    createRecordingStream() {
+        if (!this.ctx || typeof this.ctx.createMediaStreamDestination !== 'function') return null;
+        this.releaseRecordingStream();
+        this.recordingDestination = this.ctx.createMediaStreamDestination();
+        this.masterGain.connect(this.recordingDestination);
+        return this.recordingDestination.stream;
+    }
+
+    releaseRecordingStream() {
+        if (!this.recordingDestination) return;
+        this.masterGain.disconnect(this.recordingDestination);
+        this.recordingDestination = null;
+    }
+
     // Toggles mute with smooth gain ramping to prevent audible clicks.
     // Rhythm timing is preserved so both layers resume in sync when unmuted.
     toggleMute() {
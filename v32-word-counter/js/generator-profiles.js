@@ -0,0 +1,234 @@
+// generator-profiles.js - Versioned hash-to-geometry profiles for the Intention Keeper
+//
+// A saved intention is a personal artifact: the same intention must always
+// produce the same mandala, across releases and not just within one.
+// Every change to how hash bytes become geometry (ring counts, symmetry tables,
+// Lissajous pairs, byte offsets, point layout) therefore ships as a NEW profile.
+// Existing profiles are frozen — never edit one after it has been released,
+// not even to add a field.
+//
+// A feature that arrives later and needs hash-derived values of its own (the
+// Celestial style's tilt, the entrainment carrier, the tuning picks) gets them
+// from deriveFeatureParams() instead, outside every profile: each value reads
+// its own labelled hash stream, so intentions of every version gain it without
+// any profile's output changing. Released feature fields are frozen too.
+//
+// This freezes the parameters, not the pixels: renderer changes can still
+// change how a saved intention is drawn (see "Saved intentions" in README.md).
+//
+// Each saved intention records the generatorVersion that produced it, and
+// MandalaGenerator.generate() looks the profile up by that version so a past
+// intention redraws exactly as it was first made.
+//
+// Profiles only derive parameters. createMandalaSpec() in mandala-spec.js wraps
+// derive() and deriveFeatureParams() into the serializable MandalaSpec every
+// renderer and engine consumes.
+
+// Node has no shared script scope — pull hash-encoder functions in explicitly.
+// In the browser they are already globals from the earlier <script> tag.
+if (typeof module !== 'undefined' && module.exports) {
+    var { hashToSphericalCoords, hashStream, streamToSphericalCoords } = require('./hash-encoder.js');
+}
+
+// Version used for every newly generated mandala.
+const CURRENT_GENERATOR_VERSION = 4;
+
+// Intentions saved before versioning existed were all produced by profile 1.
+const LEGACY_GENERATOR_VERSION = 1;
+
+// Sitar harmonic divisors from Indian classical raga-compatible consonant
+// intervals: 1.5 = perfect fifth, 1.333 = perfect fourth, 1.25 = major third,
+// 1.125 = major second. Frozen like the profiles that pick from it.
+const HARMONIC_INTERVALS = [1.5, 1.333, 1.25, 1.125];
+
+// Celestial style — hash-seeded 3D tilt and perspective.
+// Amplitudes in radians; speeds multiply the renderer's time like pulseSpeed does.
+function deriveCelestialParams(hashNumbers) {
+    const stream = (label) => hashStream(hashNumbers, label);
+    return {
+        tiltAmplitudeX:      stream('celestial.tiltAmplitudeX').range(0.25, 0.75),
+        tiltAmplitudeY:      stream('celestial.tiltAmplitudeY').range(0.25, 0.75),
+        tiltSpeedX:          stream('celestial.tiltSpeedX').range(0.15, 0.45),
+        tiltSpeedY:          stream('celestial.tiltSpeedY').range(0.15, 0.45),
+        tiltPhase:           stream('celestial.tiltPhase').range(0, Math.PI * 2),
+        perspectiveDistance: stream('celestial.perspectiveDistance').range(4.5, 7)
+    };
+}
+
+// Entrainment layer — the binaural / monaural / isochronic carrier
+// (IntentionAudioEngine.startEntrainment()) is an interval below the root,
+// picked from the harmonic table.
+function deriveEntrainmentParams(hashNumbers) {
+    return {
+        carrierInterval: hashStream(hashNumbers, 'entrainment.carrierInterval').pick(HARMONIC_INTERVALS)
+    };
+}
+
+// Tuning profiles (tuning-profiles.js) — which of a tuning's allowed harmonic
+// intervals this intention plays, as a fraction of the way along its table,
+// and the interval below the root the tanpura drone is tuned to.
+function deriveTuningParams(hashNumbers) {
+    return {
+        harmonicPick:  hashStream(hashNumbers, 'tuning.harmonicPick').range(0, 1),
+        droneInterval: hashStream(hashNumbers, 'tuning.droneInterval').pick(HARMONIC_INTERVALS)
+    };
+}
+
+// Every feature's fields, the same for every generator version.
+// Labels are part of the frozen layout, as in the profiles — never rename one.
+function deriveFeatureParams(hashNumbers) {
+    return Object.assign({},
+        deriveCelestialParams(hashNumbers),
+        deriveEntrainmentParams(hashNumbers),
+        deriveTuningParams(hashNumbers));
+}
+
+const GENERATOR_PROFILES = {
+
+    // PROFILE 1 — the original v3.2 sacred/cosmic layout.
+    // Fixed byte offsets into the 32-byte hash, points via hashToSphericalCoords().
+    1: {
+        version: 1,
+        label:   'v3.2 sacred/cosmic',
+        derive(hashNumbers) {
+            // Structural — shared by both styles
+            const numPoints   = 8  + (hashNumbers[0] % 8);
+            const lissajousPairs = [[3,2],[4,3],[5,4],[5,3],[7,4],[6,5]];
+            const pair        = lissajousPairs[hashNumbers[8] % lissajousPairs.length];
+
+            const points = [];
+            for (let i = 0; i < numPoints; i++) {
+                points.push(hashToSphericalCoords(hashNumbers, i));
+            }
+
+            return {
+                numPoints,
+                numRings:          3  + (hashNumbers[1] % 5),
+                primarySymmetry:   [6, 8, 12, 16][hashNumbers[2] % 4],
+                baseHue:           hashNumbers[3] % 360,
+                complexity:        1  + (hashNumbers[4] % 3),
+
+                // Cosmic parameters — extracted always, rendered only in Cosmic style
+                connectionSkip:    1 + (hashNumbers[5] % 7),
+                secondarySymmetry: [3, 5, 7, 9][hashNumbers[6] % 4],
+                lissajousA:        pair[0],
+                lissajousB:        pair[1],
+                lissajousDelta:    (hashNumbers[9] / 255) * Math.PI,
+
+                // Breathing — shared by both styles
+                pulseAmplitude:    0.05 + (hashNumbers[10] / 255) * 0.15,
+                pulseSpeed:        0.015 + (hashNumbers[11] / 255) * 0.03,
+
+                // Cosmic evolution speeds — each intention evolves at its own rate
+                skipEvolutionSpeed:      0.0005 + (hashNumbers[20] / 255) * 0.001,
+                lissajousEvolutionSpeed: 0.001  + (hashNumbers[21] / 255) * 0.004,
+                symmetryEvolutionSpeed:  0.0002 + (hashNumbers[22] / 255) * 0.0008,
+
+                // Audio — sitar harmonic divisor from HARMONIC_INTERVALS
+                harmonicInterval: HARMONIC_INTERVALS[hashNumbers[14] % 4],
+
+                points
+            };
+        }
+    },
+
+    // PROFILE 2 — labelled hash streams.
+    // Same parameter ranges and tables as profile 1, but every parameter reads
+    // from its own independent HashStream instead of a fixed byte offset, so no
+    // two parameters share bytes and more points can be added without wrapping.
+    // Labels are part of the frozen layout — never rename one.
+    2: {
+        version: 2,
+        label:   'labelled hash streams',
+        derive(hashNumbers) {
+            const stream = (label) => hashStream(hashNumbers, label);
+
+            const numPoints = 8 + stream('structure.numPoints').nextInt(8);
+            const pair      = stream('cosmic.lissajousPair').pick([[3,2],[4,3],[5,4],[5,3],[7,4],[6,5]]);
+
+            const points = [];
+            for (let i = 0; i < numPoints; i++) {
+                points.push(streamToSphericalCoords(hashNumbers, i));
+            }
+
+            return {
+                numPoints,
+                numRings:          3 + stream('structure.numRings').nextInt(5),
+                primarySymmetry:   stream('structure.primarySymmetry').pick([6, 8, 12, 16]),
+                baseHue:           stream('color.baseHue').nextInt(360),
+                complexity:        1 + stream('structure.complexity').nextInt(3),
+
+                connectionSkip:    1 + stream('cosmic.connectionSkip').nextInt(7),
+                secondarySymmetry: stream('cosmic.secondarySymmetry').pick([3, 5, 7, 9]),
+                lissajousA:        pair[0],
+                lissajousB:        pair[1],
+                lissajousDelta:    stream('cosmic.lissajousDelta').range(0, Math.PI),
+
+                pulseAmplitude:    stream('breathing.amplitude').range(0.05, 0.20),
+                pulseSpeed:        stream('breathing.speed').range(0.015, 0.045),
+
+                skipEvolutionSpeed:      stream('evolution.skip').range(0.0005, 0.0015),
+                lissajousEvolutionSpeed: stream('evolution.lissajous').range(0.001, 0.005),
+                symmetryEvolutionSpeed:  stream('evolution.symmetry').range(0.0002, 0.001),
+
+                harmonicInterval: stream('audio.harmonicInterval').pick(HARMONIC_INTERVALS),
+
+                points
+            };
+        }
+    },
+
+    // PROFILE 3 — hash-seeded projection.
+    // Identical to profile 2 except the sphere projection (projections.js) is
+    // drawn from its own labelled stream instead of always being orthographic.
+    3: {
+        version: 3,
+        label:   'hash-seeded projection',
+        derive(hashNumbers) {
+            return Object.assign(GENERATOR_PROFILES[2].derive(hashNumbers), {
+                projection: hashStream(hashNumbers, 'projection.type').pick([
+                    'orthographic', 'stereographic', 'lambert',
+                    'gnomonic', 'equidistant', 'cylindrical'
+                ])
+            });
+        }
+    },
+
+    // PROFILE 4 — per-point modulation.
+    // Identical to profile 3, but the renderer now uses each point's secondary
+    // values (colorShift, sizeVariance, glowStrength, twistFactor, depthBias).
+    // Earlier profiles leave pointModulation off so their mandalas look unchanged.
+    4: {
+        version: 4,
+        label:   'per-point modulation',
+        derive(hashNumbers) {
+            return Object.assign(GENERATOR_PROFILES[3].derive(hashNumbers), {
+                pointModulation: true
+            });
+        }
+    }
+};
+
+// Looks up the profile for a saved generator version.
+// Missing versions (pre-versioning entries) resolve to the legacy profile.
+// Unknown versions — e.g. an entry saved by a newer release — fall back to the
+// current profile with a warning rather than failing to draw anything.
+function getGeneratorProfile(version) {
+    const resolved = version == null ? LEGACY_GENERATOR_VERSION : version;
+    const profile  = GENERATOR_PROFILES[resolved];
+    if (profile) return profile;
+
+    console.warn(`Unknown generator version ${resolved}; using v${CURRENT_GENERATOR_VERSION}.`);
+    return GENERATOR_PROFILES[CURRENT_GENERATOR_VERSION];
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        CURRENT_GENERATOR_VERSION,
+        LEGACY_GENERATOR_VERSION,
+        HARMONIC_INTERVALS,
+        GENERATOR_PROFILES,
+        deriveFeatureParams,
+        getGeneratorProfile
+    };
+}
@@ -0,0 +1,277 @@
+// gif-encoder.js - Animated GIF89a encoder for the Intention Keeper
+//
+// Self-contained, no libraries: each frame gets its own 256-colour palette by
+// median cut, pixels are mapped to it and LZW-compressed, and the frames are
+// wrapped with a NETSCAPE2.0 block so viewers loop them forever.
+//
+// Palettes are per frame because the mandala's hue drifts — one palette for a
+// whole loop would spend most of its entries on colours a frame never shows.
+// Colours are binned to 5 bits per channel before quantizing; GIF can't show
+// the difference on the dark, glowing frames this draws.
+//
+//   const gif = new GifEncoder(480, 480);
+//   gif.addFrame(imageData.data, 50);    // RGBA pixels, delay in milliseconds
+//   const bytes = gif.finish();          // Uint8Array
+//
+// Used by animation-worker.js, or in-thread when the worker can't load.
+
+const GIF_PALETTE_SIZE = 256;
+const GIF_MAX_CODE     = 4096;
+
+// 5-bit-per-channel colour bin of an RGBA pixel at byte offset i
+function gifColorBin(pixels, i) {
+    return ((pixels[i] >> 3) << 10) | ((pixels[i + 1] >> 3) << 5) | (pixels[i + 2] >> 3);
+}
+
+// Median cut over a colour-bin histogram. Boxes of bins are split at the
+// population median of their widest channel until there are `size` boxes; each
+// box's colour is the population-weighted mean of the pixels in it.
+// Returns { palette: Uint8Array (RGB triples), lookup: Uint8Array (bin → index) }.
+function gifQuantize(histogram, sums, size = GIF_PALETTE_SIZE) {
+    const bins = [];
+    for (let bin = 0; bin < histogram.length; bin++) {
+        if (histogram[bin]) bins.push(bin);
+    }
+
+    const channel = (bin, c) => (bin >> (10 - c * 5)) & 31;
+    const describe = (members) => {
+        let count = 0;
+        const low = [31, 31, 31], high = [0, 0, 0];
+        for (const bin of members) {
+            count += histogram[bin];
+            for (let c = 0; c < 3; c++) {
+                const v = channel(bin, c);
+                if (v < low[c])  low[c]  = v;
+                if (v > high[c]) high[c] = v;
+            }
+        }
+        const ranges = high.map((h, c) => h - low[c]);
+        const widest = ranges.indexOf(Math.max(...ranges));
+        return { members, count, widest, range: ranges[widest] };
+    };
+
+    const boxes = [describe(bins)];
+    while (boxes.length < size) {
+        // Split the most populous box that still spans more than one bin,
+        // weighted by its extent so sparse bright colours get entries too
+        let pick = -1, best = 0;
+        boxes.forEach((box, i) => {
+            const score = box.range > 0 ? box.count * box.range : 0;
+            if (score > best) { best = score; pick = i; }
+        });
+        if (pick < 0) break;
+
+        const box = boxes[pick];
+        box.members.sort((a, b) => channel(a, box.widest) - channel(b, box.widest));
+        let half = box.count / 2, at = 0;
+        while (at < box.members.length - 2 && half - histogram[box.members[at]] > 0) {
+            half -= histogram[box.members[at++]];
+        }
+        // Both halves keep at least one bin
+        const cut = at + 1;
+        boxes.splice(pick, 1, describe(box.members.slice(0, cut)), describe(box.members.slice(cut)));
+    }
+
+    const palette = new Uint8Array(size * 3);
+    const lookup  = new Uint8Array(histogram.length);
+    boxes.forEach((box, index) => {
+        let r = 0, g = 0, b = 0;
+        for (const bin of box.members) {
+            r += sums[bin * 3];
+            g += sums[bin * 3 + 1];
+            b += sums[bin * 3 + 2];
+            lookup[bin] = index;
+        }
+        palette[index * 3]     = Math.round(r / box.count);
+        palette[index * 3 + 1] = Math.round(g / box.count);
+        palette[index * 3 + 2] = Math.round(b / box.count);
+    });
+    return { palette, lookup };
+}
+
+// Growable byte buffer
+class GifByteWriter {
+    constructor() {
+        this.bytes  = new Uint8Array(1 << 16);
+        this.length = 0;
+    }
+
+    byte(value) {
+        if (this.length === this.bytes.length) {
+            const grown = new Uint8Array(this.bytes.length * 2);
+            grown.set(this.bytes);
+            this.bytes = grown;
+        }
+        this.bytes[this.length++] = value;
+    }
+
+    word(value) {
+        this.byte(value & 0xff);
+        this.byte((value >> 8) & 0xff);
+    }
+
+    string(text) {
+        for (let i = 0; i < text.length; i++) this.byte(text.charCodeAt(i));
+    }
+
+    array(values) {
+        for (let i = 0; i < values.length; i++) this.byte(values[i]);
+    }
+
+    result() {
+        return this.bytes.slice(0, this.length);
+    }
+}
+
+// GIF-flavoured LZW of palette indices, written as length-prefixed sub-blocks
+function gifLzw(writer, indices, minCodeSize) {
+    const clearCode = 1 << minCodeSize;
+    const endCode   = clearCode + 1;
+    const table     = new Map();
+
+    let codeSize = minCodeSize + 1;
+    let nextCode = endCode + 1;
+    let bits = 0, bitCount = 0;
+    const block = [];
+
+    const emit = (code) => {
+        bits |= code << bitCount;
+        bitCount += codeSize;
+        while (bitCount >= 8) {
+            block.push(bits & 0xff);
+            bits >>>= 8;
+            bitCount -= 8;
+            if (block.length === 255) {
+                writer.byte(255);
+                writer.array(block);
+                block.length = 0;
+            }
+        }
+    };
+
+    writer.byte(minCodeSize);
+    emit(clearCode);
+
+    let prefix = indices[0];
+    for (let i = 1; i < indices.length; i++) {
+        const index = indices[i];
+        const key   = (prefix << 8) | index;
+        const code  = table.get(key);
+        if (code !== undefined) {
+            prefix = code;
+            continue;
+        }
+        emit(prefix);
+        if (nextCode === GIF_MAX_CODE) {
+            emit(clearCode);
+            table.clear();
+            codeSize = minCodeSize + 1;
+            nextCode = endCode + 1;
+        } else {
+            if (nextCode >= (1 << codeSize)) codeSize++;
+            table.set(key, nextCode++);
+        }
+        prefix = index;
+    }
+    emit(prefix);
+    emit(endCode);
+
+    if (bitCount > 0) block.push(bits & 0xff);
+    if (block.length) {
+        writer.byte(block.length);
+        writer.array(block);
+    }
+    writer.byte(0);
+}
+
+class GifEncoder {
+    constructor(width, height) {
+        if (!(width > 0 && height > 0 && width < 65536 && height < 65536)) {
+            throw new Error(`Invalid GIF size ${width} × ${height}`);
+        }
+        this.width   = width;
+        this.height  = height;
+        this.frames  = 0;
+        this.elapsed = 0;
+        this.writer  = new GifByteWriter();
+
+        const w = this.writer;
+        w.string('GIF89a');
+        w.word(width);
+        w.word(height);
+        w.byte(0);   // no global colour table — every frame brings its own
+        w.byte(0);   // background colour index
+        w.byte(0);   // square pixels
+
+        // NETSCAPE2.0 application block: loop forever
+        w.byte(0x21); w.byte(0xff); w.byte(11);
+        w.string('NETSCAPE2.0');
+        w.byte(3); w.byte(1); w.word(0); w.byte(0);
+    }
+
+    // pixels: RGBA, width × height × 4 bytes. GIF delays are whole hundredths
+    // of a second; rounding is carried from frame to frame so the loop's total
+    // length stays exact.
+    addFrame(pixels, delayMs) {
+        const count = this.width * this.height;
+        if (pixels.length < count * 4) {
+            throw new Error('GIF frame is smaller than the image');
+        }
+
+        const histogram = new Uint32Array(1 << 15);
+        const sums      = new Float64Array((1 << 15) * 3);
+        const bins      = new Uint16Array(count);
+        for (let p = 0, i = 0; p < count; p++, i += 4) {
+            const bin = gifColorBin(pixels, i);
+            bins[p] = bin;
+            histogram[bin]++;
+            sums[bin * 3]     += pixels[i];
+            sums[bin * 3 + 1] += pixels[i + 1];
+            sums[bin * 3 + 2] += pixels[i + 2];
+        }
+        const { palette, lookup } = gifQuantize(histogram, sums);
+
+        const indices = new Uint8Array(count);
+        for (let p = 0; p < count; p++) indices[p] = lookup[bins[p]];
+
+        const start = Math.round(this.elapsed / 10);
+        this.elapsed += delayMs;
+        const delay = Math.round(this.elapsed / 10) - start;
+
+        const w = this.writer;
+        // Graphic control extension: leave the frame in place, delay in 1/100 s
+        w.byte(0x21); w.byte(0xf9); w.byte(4);
+        w.byte(1 << 2);
+        w.word(delay);
+        w.byte(0);
+        w.byte(0);
+
+        // Image descriptor with a 256-entry local colour table
+        w.byte(0x2c);
+        w.word(0); w.word(0);
+        w.word(this.width); w.word(this.height);
+        w.byte(0x80 | 7);
+        w.array(palette);
+
+        gifLzw(w, indices, 8);
+        this.frames++;
+    }
+
+    // The finished file. The encoder can't take more frames afterwards.
+    finish() {
+        if (!this.frames) {
+            throw new Error('A GIF needs at least one frame');
+        }
+        this.writer.byte(0x3b);
+        const bytes = this.writer.result();
+        this.writer = null;
+        return bytes;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        GifEncoder,
+        gifQuantize
+    };
+}
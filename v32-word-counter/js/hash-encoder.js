@@ -1,5 +1,6 @@
 // hash-encoder.js - Cryptographic foundation for the Intention Keeper
-// Responsible for SHA-256 hashing, spherical coordinate generation, and 2D projection.
+// Responsible for intention canonicalization, SHA-256 hashing (or keyed HMAC in
+// private mode), spherical coordinate generation, and 2D projection.
 // SHA-256 produces 32 bytes (256 bits). We extract meaning from as many of those
 // bytes as possible to maximize visual variation between different intentions.
 
@@ -14,6 +15,128 @@ async function generateHash(text) {
     return hashArray.map(b => b.toString(16).padStart(2, '0')).join('');
 }
 
+// ─────────────────────────────────────────────
+// PRIVATE MODE — KEYED HMAC
+// ─────────────────────────────────────────────
+
+// A plain SHA-256 mandala can be "reverse-checked": anyone who sees the hash
+// can confirm a guessed intention by hashing the guess. Private mode replaces
+// SHA-256 with HMAC-SHA-256 keyed by the owner's passphrase, so the mandala is
+// reproducible for its owner and meaningless to everyone else.
+//
+// The passphrase is stretched with PBKDF2 so short passphrases are still costly
+// to brute-force. Salt and iteration count are part of the private-mode
+// provenance and are frozen — changing either would orphan every private mandala.
+// The salt is fixed rather than per-user so the owner can reproduce a private
+// mandala on any device from the passphrase alone.
+const PRIVATE_KDF_SALT       = 'intention-keeper/private-mandala/v1';
+const PRIVATE_KDF_ITERATIONS = 310000;
+
+// Derives the HMAC-SHA-256 key for private mode from a user passphrase.
+// The passphrase itself is never stored.
+async function derivePrivateKey(passphrase) {
+    const encoder  = new TextEncoder();
+    const material = await crypto.subtle.importKey(
+        'raw', encoder.encode(passphrase), 'PBKDF2', false, ['deriveKey']
+    );
+    return crypto.subtle.deriveKey(
+        {
+            name:       'PBKDF2',
+            hash:       'SHA-256',
+            salt:       encoder.encode(PRIVATE_KDF_SALT),
+            iterations: PRIVATE_KDF_ITERATIONS
+        },
+        material,
+        { name: 'HMAC', hash: 'SHA-256', length: 256 },
+        false,
+        ['sign']
+    );
+}
+
+// HMAC-SHA-256 of the text under a private-mode key, as a hex string.
+// Same 32-byte shape as generateHash() so the rest of the pipeline is unchanged.
+async function generateHmac(text, key) {
+    const signature = await crypto.subtle.sign('HMAC', key, new TextEncoder().encode(text));
+    return Array.from(new Uint8Array(signature)).map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+// ─────────────────────────────────────────────
+// INTENTION CANONICALIZATION
+// ─────────────────────────────────────────────
+
+// What the user considers "the same intention" should hash the same:
+// a double space, a trailing newline, a Mac-composed "é" versus a decomposed
+// "e + ◌́", or curly versus straight quotes must not change the mandala.
+// Canonicalization runs before hashing and is versioned like the generator
+// profiles — each saved intention records the version it was hashed with,
+// and released versions are frozen.
+
+// Version used for every newly hashed intention.
+const CURRENT_CANONICAL_VERSION = 1;
+
+// Intentions saved before canonicalization existed hashed the raw text.
+const LEGACY_CANONICAL_VERSION = 0;
+
+const CANONICALIZERS = {
+    // VERSION 0 — raw text, exactly as typed. Kept for pre-canonicalization entries.
+    0: (text) => text,
+
+    // VERSION 1
+    //   1. NFKC — composes accents (é) and folds compatibility forms
+    //      (ligatures, full-width letters, "…" to "...")
+    //   2. Zero-width spaces and byte-order marks removed
+    //   3. Curly, low and prime quotes folded to straight quotes
+    //   4. Hyphen, en/em dash and minus variants folded to "-"
+    //   5. Every whitespace run (tabs, newlines, NBSP) collapsed to one space, trimmed
+    //   6. Optional case folding
+    1: (text, caseFold) => {
+        let canonical = text.normalize('NFKC')
+            .replace(/[\u200B\u2060\uFEFF]/g, '')
+            .replace(/[\u2018\u2019\u201A\u201B\u2032\u2035]/g, "'")
+            .replace(/[\u201C\u201D\u201E\u201F\u2033\u2036]/g, '"')
+            .replace(/[\u2010\u2011\u2012\u2013\u2014\u2015\u2212]/g, '-')
+            .replace(/\s+/g, ' ')
+            .trim();
+        if (caseFold) canonical = canonical.toLowerCase();
+        return canonical;
+    }
+};
+
+// Returns the canonical form of an intention under a given canonicalization version.
+// A missing version means a pre-canonicalization entry (raw text).
+function canonicalizeIntention(text, canonicalVersion, caseFold = false) {
+    const version       = canonicalVersion == null ? LEGACY_CANONICAL_VERSION : canonicalVersion;
+    const canonicalizer = CANONICALIZERS[version];
+    if (!canonicalizer) throw new Error(`Unknown canonicalization version ${version}`);
+    return canonicalizer(text, caseFold);
+}
+
+// Canonicalizes then hashes an intention, returning the hash together with
+// the provenance needed to reproduce it later.
+// options:
+//   canonicalVersion — canonicalization version (default: current)
+//   caseFold         — fold case during canonicalization
+//   passphrase       — when given, private mode: HMAC keyed by the passphrase
+async function hashIntention(text, options = {}) {
+    const canonicalVersion = options.canonicalVersion == null
+        ? CURRENT_CANONICAL_VERSION : options.canonicalVersion;
+    const caseFold      = Boolean(options.caseFold);
+    const isPrivate     = Boolean(options.passphrase);
+    const canonicalText = canonicalizeIntention(text, canonicalVersion, caseFold);
+
+    const hash = isPrivate
+        ? await generateHmac(canonicalText, await derivePrivateKey(options.passphrase))
+        : await generateHash(canonicalText);
+
+    return {
+        hash,
+        canonicalText,
+        canonicalVersion,
+        caseFold,
+        mode: isPrivate ? 'private' : 'public'
+    };
+}
+
 // Converts a hex hash string into an array of 32 integers (0-255).
 // Each integer is one byte of the SHA-256 output and serves as a seed
 // for a specific visual parameter in the mandala.
@@ -35,6 +158,8 @@ const GOLDEN_ANGLE = 137.50776405003785;
 // Uses up to 15 bytes per point by combining multiple byte pairs for higher precision.
 // Wraps safely within the 32-byte SHA-256 output using modulo arithmetic.
 // More bytes = finer variation = more unique mandalas for similar intentions.
+// FROZEN: generator profile 1 depends on this exact byte layout. Changes to
+// point derivation belong in a new function used by a new generator profile.
 function hashToSphericalCoords(hashNumbers, index) {
     const len = hashNumbers.length; // always 32 for SHA-256
 
@@ -97,6 +222,118 @@ function hashToSphericalCoords(hashNumbers, index) {
     };
 }
 
+// ─────────────────────────────────────────────
+// LABELLED HASH STREAMS
+// ─────────────────────────────────────────────
+
+// Deterministic random stream seeded from the full hash plus a text label.
+// Reading fixed byte offsets (hashToSphericalCoords, generator profile 1) wraps
+// around the 32 bytes and correlates parameters — byte 5 drives both the
+// connection skip and point 1's radius. A labelled stream instead mixes ALL
+// 32 bytes with its label, so 'ring.count' and 'point.1' are independent and
+// new parameters can be added without disturbing existing ones.
+//
+// Generator: xoshiro128** (Blackman & Vigna) — small, fast, 128-bit state,
+// identical results in every JavaScript engine because it uses only 32-bit
+// integer math via Math.imul and unsigned shifts.
+class HashStream {
+    constructor(hashNumbers, label) {
+        const labelBytes = new TextEncoder().encode(label);
+
+        // Each of the four state words absorbs the label and every hash byte
+        // through FNV-1a, then a murmur3 finalizer to spread the bits.
+        this.state = new Uint32Array(4);
+        for (let word = 0; word < 4; word++) {
+            let h = (0x811c9dc5 ^ Math.imul(word + 1, 0x9e3779b9)) >>> 0;
+            for (const b of labelBytes)  h = Math.imul(h ^ b, 0x01000193);
+            for (const b of hashNumbers) h = Math.imul(h ^ b, 0x01000193);
+            this.state[word] = HashStream.fmix32(h);
+        }
+
+        // xoshiro must never run from an all-zero state
+        if (!(this.state[0] | this.state[1] | this.state[2] | this.state[3])) this.state[0] = 1;
+
+        // Discard the first outputs so nearby seeds diverge fully
+        for (let i = 0; i < 8; i++) this.nextUint32();
+    }
+
+    // murmur3 32-bit finalizer — avalanche so every input bit affects every output bit
+    static fmix32(h) {
+        h ^= h >>> 16; h = Math.imul(h, 0x85ebca6b);
+        h ^= h >>> 13; h = Math.imul(h, 0xc2b2ae35);
+        h ^= h >>> 16;
+        return h >>> 0;
+    }
+
+    nextUint32() {
+        const s      = this.state;
+        const result = Math.imul(HashStream.rotl(Math.imul(s[1], 5), 7), 9) >>> 0;
+        const t      = s[1] << 9;
+
+        s[2] ^= s[0];
+        s[3] ^= s[1];
+        s[1] ^= s[2];
+        s[0] ^= s[3];
+        s[2] ^= t;
+        s[3]  = HashStream.rotl(s[3], 11);
+
+        return result;
+    }
+
+    static rotl(x, k) {
+        return ((x << k) | (x >>> (32 - k))) >>> 0;
+    }
+
+    // Uniform float in [0, 1) with 32-bit precision —
+    // finer than the two-byte (65536-step) values used by profile 1
+    next() {
+        return this.nextUint32() / 4294967296;
+    }
+
+    // Uniform float in [min, max)
+    range(min, max) {
+        return min + this.next() * (max - min);
+    }
+
+    // Uniform integer in [0, count)
+    nextInt(count) {
+        return Math.floor(this.next() * count);
+    }
+
+    // Uniformly chosen element of a lookup table
+    pick(table) {
+        return table[this.nextInt(table.length)];
+    }
+}
+
+// Shorthand used by generator profiles: one independent stream per parameter.
+function hashStream(hashNumbers, label) {
+    return new HashStream(hashNumbers, label);
+}
+
+// Spherical coordinates for one point, drawn from that point's own labelled stream.
+// Same ranges and golden-angle spacing as hashToSphericalCoords(), but every
+// point is independent of every other point and of the structural parameters,
+// so any number of points can be generated without byte reuse.
+function streamToSphericalCoords(hashNumbers, index) {
+    const stream = hashStream(hashNumbers, `point.${index}`);
+
+    const longitude = (stream.range(0, 360) + index * GOLDEN_ANGLE) % 360;
+    const latitude  = stream.range(-90, 90);
+    const radius    = stream.range(0.5, 1.4);
+
+    return {
+        longitude,
+        latitude,
+        radius,
+        colorShift:   stream.next(),
+        sizeVariance: stream.next(),
+        glowStrength: stream.next(),
+        twistFactor:  stream.next(),
+        depthBias:    stream.next()
+    };
+}
+
 // Projects spherical coordinates onto a 2D canvas plane using orthographic projection.
 // Orthographic chosen because it preserves the circular, mandala-like appearance
 // without the distortion introduced by perspective projection.
@@ -109,3 +346,24 @@ function sphericalToCartesian(lon, lat, radius, centerX, centerY, scale) {
 
     return { x, y };
 }
+
+// Node (unit tests, exporters) loads this file as a CommonJS module.
+// In the browser it is a plain script and everything above is global.
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        GOLDEN_ANGLE,
+        CURRENT_CANONICAL_VERSION,
+        LEGACY_CANONICAL_VERSION,
+        canonicalizeIntention,
+        derivePrivateKey,
+        generateHash,
+        generateHmac,
+        hashIntention,
+        hexToNumbers,
+        hashToSphericalCoords,
+        HashStream,
+        hashStream,
+        streamToSphericalCoords,
+        sphericalToCartesian
+    };
+}
@@ -0,0 +1,53 @@
+// hash-melody.js - The MERIDIAN-HASH as a repeating melodic phrase
+//
+// The mandala is drawn from nearly every byte of the hash; the melody gives
+// the sound the same fingerprint. All 32 bytes, in order, become the 32 steps
+// of one phrase that repeats for the whole session:
+//   byte parity   odd bytes pluck a note, even bytes rest — the rhythm
+//   byte >> 1     which note of the scale, from Sa up to the upper Sa
+//   byte value    how hard the note is plucked — the dynamics
+// The scale is a raga or mode from MUSICAL_SCALES (tuning-profiles.js), chosen
+// by the hash — or the raga itself when the tuning is a raga.
+//
+// Like a generator profile, this mapping is frozen: changing it would change
+// the sonic signature of every intention ever saved.
+
+if (typeof module !== 'undefined' && module.exports) {
+    Object.assign(globalThis,
+        require('./hash-encoder.js'),
+        require('./tuning-profiles.js'));
+}
+
+// Quietest pluck, as a share of the loudest (byte 255)
+const MELODY_SOFTEST = 0.3;
+
+// The MUSICAL_SCALES key an intention's melody plays in when the tuning names none
+function hashMelodyScale(hash) {
+    return hashStream(hexToNumbers(hash), 'melody.scale').pick(Object.keys(MUSICAL_SCALES));
+}
+
+// The phrase of a 64-character hash: { scale, steps }, steps holding one entry
+// per byte — null for a rest, or { degree, ratio, velocity } with ratio to the
+// tonic and velocity 0-1. scale defaults to the hash's own.
+function composeHashMelody(hash, scale = hashMelodyScale(hash)) {
+    const ratios = MUSICAL_SCALES[scale].ratios;
+    const steps  = hexToNumbers(hash).map(byte => {
+        if (byte % 2 === 0) return null;
+
+        // One octave of the scale plus the upper Sa to land on
+        const degree = (byte >> 1) % (ratios.length + 1);
+        return {
+            degree,
+            ratio:    degree < ratios.length ? ratios[degree] : 2,
+            velocity: MELODY_SOFTEST + (1 - MELODY_SOFTEST) * byte / 255
+        };
+    });
+    return { scale, steps };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        hashMelodyScale,
+        composeHashMelody
+    };
+}
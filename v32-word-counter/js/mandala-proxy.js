@@ -0,0 +1,302 @@
+// mandala-proxy.js - Off-main-thread rendering for the Intention Keeper
+//
+// Drawing the mandala every frame competes with the wheel picker, typing and
+// the audio engine's timers. When the user opts in ("Background rendering")
+// and the browser supports it, the canvas is handed to a dedicated worker
+// (mandala-worker.js) as an OffscreenCanvas and a MandalaGenerator draws there
+// instead. It stays opt-in until the worker's fallback (a cloned canvas) and
+// recording a transferred canvas with captureStream() have had wider use.
+//
+// MandalaWorkerProxy stays on the main thread with the same API app.js uses on
+// a MandalaGenerator — generate, setStyle, setProjection, setQualityTier,
+// showHud, startBreathing, stopBreathing, spiralDissolve, renderAt and
+// frameState. Hashing happens here (it needs the passphrase); the worker only
+// ever receives the resulting MandalaSpec and plain commands.
+//
+// createMandalaRenderer() picks the proxy or the in-thread generator. Browsers
+// without OffscreenCanvas, and pages where the worker fails to load (e.g.
+// opened from file://), get the in-thread renderer even when opted in.
+//
+// The worker loads the built-in styles only. An experimental style script must
+// also be added to the worker's importScripts() list to be drawable off-thread.
+
+// Relative to the page, like the <script> tags
+const MANDALA_WORKER_URL = 'js/mandala-worker.js';
+
+// Each command the proxy sends, applied to a MandalaGenerator. The worker runs
+// these on its generator; the proxy runs them in-thread after a fallback.
+const MANDALA_COMMANDS = {
+    resize:         (generator, { displaySize, pixelRatio }) => generator.setDisplaySize(displaySize, pixelRatio),
+    applySpec:      (generator, { hashed, spec, intentionText }) => {
+        generator.applyHashed(hashed);
+        generator.applySpec(spec, intentionText);
+    },
+    setStyle:       (generator, { name }) => generator.setStyle(name),
+    setProjection:  (generator, { name }) => generator.setProjection(name),
+    setQualityTier: (generator, { tier }) => generator.setQualityTier(tier),
+    setShowHud:     (generator, { show }) => { generator.showHud = show; },
+    startBreathing: (generator) => generator.startBreathing(),
+    stopBreathing:  (generator) => generator.stopBreathing(),
+    spiralDissolve: (generator, { duration }) => generator.spiralDissolve(duration),
+    renderAt:       (generator, { seconds }) => generator.renderAt(seconds)
+};
+
+// Commands that describe ongoing state rather than a one-off action — the last
+// of each is replayed if the proxy has to fall back to the in-thread renderer.
+// The three animation commands share one slot: only the latest matters.
+const MANDALA_STATE_SLOTS = {
+    resize:         'resize',
+    applySpec:      'applySpec',
+    setStyle:       'setStyle',
+    setProjection:  'setProjection',
+    setQualityTier: 'setQualityTier',
+    setShowHud:     'setShowHud',
+    startBreathing: 'animation',
+    stopBreathing:  'animation',
+    spiralDissolve: 'animation'
+};
+
+class MandalaWorkerProxy {
+    // True when the canvas can be transferred to a worker
+    static isSupported(canvas) {
+        return typeof Worker !== 'undefined' &&
+               typeof OffscreenCanvas !== 'undefined' &&
+               typeof canvas.transferControlToOffscreen === 'function';
+    }
+
+    constructor(canvas) {
+        this.canvas   = canvas;
+        this.fallback = null;
+        this.ready    = false;
+        this.state    = new Map();
+
+        // Mirrors of the generator fields app.js reads
+        this.spec             = null;
+        this.style            = 'sacred';
+        this.fullHash         = '';
+        this.generatorVersion = CURRENT_GENERATOR_VERSION;
+        this.canonicalText    = '';
+        this.canonicalVersion = CURRENT_CANONICAL_VERSION;
+        this.caseFold         = false;
+        this.hashMode         = 'public';
+        this.hud              = false;
+
+        // Mirrors frameState() reads
+        this.intentionText      = '';
+        this.projectionOverride = null;
+
+        // Main-thread copy of the worker's animation clock, for frameState().
+        // clockOrigin is the performance.now() of second 0 while breathing.
+        this.elapsed     = 0;
+        this.clockOrigin = null;
+
+        // Create the worker before transferring: if the constructor throws,
+        // the canvas is still ours and the caller can fall back cleanly
+        this.worker = new Worker(MANDALA_WORKER_URL);
+        this.worker.addEventListener('message', (event) => this.onMessage(event.data));
+        this.worker.addEventListener('error', (event) => this.onWorkerError(event));
+
+        const offscreen = canvas.transferControlToOffscreen();
+        // Workers have no devicePixelRatio — it is sent with every size
+        this.worker.postMessage({
+            type: 'init', canvas: offscreen,
+            displaySize: this.displaySize(), pixelRatio: window.devicePixelRatio || 1
+        }, [offscreen]);
+        this.sizePlaceholder();
+
+        window.addEventListener('resize', () => {
+            this.sizePlaceholder();
+            this.send('resize', { displaySize: this.displaySize(), pixelRatio: window.devicePixelRatio || 1 });
+        });
+    }
+
+    // Same sizing rule as MandalaGenerator.displaySize()
+    displaySize() {
+        return Math.min(window.innerWidth - 40, 600);
+    }
+
+    // The transferred element still occupies the page — size its CSS box here
+    sizePlaceholder() {
+        const size = this.displaySize();
+        this.canvas.style.width  = `${size}px`;
+        this.canvas.style.height = `${size}px`;
+    }
+
+    onMessage(message) {
+        if (message.type === 'ready') {
+            this.ready = true;
+        } else if (message.type === 'error') {
+            console.warn('Mandala worker error:', message.message);
+        }
+    }
+
+    // A worker that never became ready (missing script, file:// page, failed
+    // importScripts) has taken the canvas with it. Swap in a fresh canvas
+    // element, draw in-thread, and replay the current state onto it.
+    onWorkerError(event) {
+        if (this.ready || this.fallback) {
+            console.warn('Mandala worker error:', event.message);
+            return;
+        }
+        console.warn('Mandala worker failed to start; rendering on the main thread.', event.message);
+        this.worker.terminate();
+
+        const fresh = this.canvas.cloneNode(false);
+        this.canvas.replaceWith(fresh);
+        this.canvas   = fresh;
+        this.fallback = new MandalaGenerator(fresh);
+
+        this.state.forEach((message) => MANDALA_COMMANDS[message.type](this.fallback, message));
+    }
+
+    // Sends a command to the worker — or runs it in-thread after a fallback —
+    // and remembers it if it describes state worth replaying
+    send(type, data = {}) {
+        const message = Object.assign({ type }, data);
+
+        const slot = MANDALA_STATE_SLOTS[type];
+        if (slot) {
+            // Re-insert so the replay order follows the order commands were given
+            this.state.delete(slot);
+            this.state.set(slot, message);
+        }
+
+        if (this.fallback) {
+            MANDALA_COMMANDS[type](this.fallback, message);
+        } else {
+            this.worker.postMessage(message);
+        }
+    }
+
+    // Same contract as MandalaGenerator.generate(). Hashing runs here; only the
+    // spec crosses to the worker.
+    async generate(intentionText, options = {}) {
+        const prepared = await MandalaGenerator.prepareIntention(intentionText, options);
+        this.applyPrepared(prepared, intentionText);
+        return prepared.hashed.hash;
+    }
+
+    // Same contract as MandalaGenerator.applyPrepared()
+    applyPrepared({ hashed, spec }, intentionText) {
+        this.spec             = spec;
+        this.fullHash         = spec.hash;
+        this.generatorVersion = spec.generatorVersion;
+        this.canonicalText    = hashed.canonicalText;
+        this.canonicalVersion = hashed.canonicalVersion;
+        this.caseFold         = hashed.caseFold;
+        this.hashMode         = hashed.mode;
+        this.intentionText    = intentionText;
+        this.elapsed          = 0;
+
+        this.send('applySpec', { hashed, spec, intentionText });
+    }
+
+    getProvenance() {
+        return {
+            hash:             this.fullHash,
+            generatorVersion: this.generatorVersion,
+            canonicalVersion: this.canonicalVersion,
+            canonicalText:    this.canonicalText,
+            caseFold:         this.caseFold,
+            mode:             this.hashMode
+        };
+    }
+
+    // Validated here so an unknown style throws in the caller, as it does in-thread
+    setStyle(styleName) {
+        if (!getMandalaStyle(styleName)) {
+            throw new Error(`Unknown mandala style "${styleName}"`);
+        }
+        this.style = styleName;
+        this.send('setStyle', { name: styleName });
+    }
+
+    setProjection(projectionName) {
+        this.projectionOverride = PROJECTIONS[projectionName] ? projectionName : null;
+        this.send('setProjection', { name: projectionName });
+    }
+
+    setQualityTier(tier) {
+        this.send('setQualityTier', { tier });
+    }
+
+    get showHud() {
+        return this.hud;
+    }
+
+    set showHud(show) {
+        this.hud = Boolean(show);
+        this.send('setShowHud', { show: this.hud });
+    }
+
+    startBreathing() {
+        this.clockOrigin = performance.now() - this.clockSeconds() * 1000;
+        this.send('startBreathing');
+    }
+
+    stopBreathing() {
+        this.stopClock();
+        this.send('stopBreathing');
+    }
+
+    spiralDissolve(duration) {
+        this.stopClock();
+        this.send('spiralDissolve', { duration });
+    }
+
+    renderAt(seconds) {
+        this.elapsed = seconds;
+        this.send('renderAt', { seconds });
+    }
+
+    // Seconds on the worker's clock, give or take the time a message takes
+    clockSeconds() {
+        return this.clockOrigin == null
+            ? this.elapsed
+            : (performance.now() - this.clockOrigin) / 1000;
+    }
+
+    stopClock() {
+        this.elapsed     = this.clockSeconds();
+        this.clockOrigin = null;
+    }
+
+    // Same as MandalaGenerator.frameState(), from the mirrored fields
+    frameState() {
+        if (this.fallback) return this.fallback.frameState();
+        return {
+            hashed: {
+                canonicalText:    this.canonicalText,
+                canonicalVersion: this.canonicalVersion,
+                caseFold:         this.caseFold,
+                mode:             this.hashMode
+            },
+            spec:          this.spec,
+            intentionText: this.intentionText,
+            style:         this.style,
+            projection:    this.projectionOverride,
+            seconds:       this.clockSeconds()
+        };
+    }
+}
+
+// The in-thread MandalaGenerator, or the off-thread renderer when
+// options.offThread is true (user setting) and the browser supports it.
+function createMandalaRenderer(canvas, options = {}) {
+    if (options.offThread === true && MandalaWorkerProxy.isSupported(canvas)) {
+        try {
+            return new MandalaWorkerProxy(canvas);
+        } catch (e) {
+            console.warn('Could not start the mandala worker; rendering on the main thread.', e);
+        }
+    }
+    return new MandalaGenerator(canvas);
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        MANDALA_COMMANDS,
+        MandalaWorkerProxy,
+        createMandalaRenderer
+    };
+}
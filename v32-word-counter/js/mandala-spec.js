@@ -0,0 +1,53 @@
+// mandala-spec.js - Pure hash-to-MandalaSpec derivation for the Intention Keeper
+//
+// A MandalaSpec is the complete, serializable description of one intention's
+// mandala: every hash-derived parameter the canvas renderer, the audio engine,
+// and any exporter need, with no animation state and no DOM.
+//
+// The same hash and generator version always produce an identical spec, so
+// everything that consumes it — MandalaGenerator.applySpec(),
+// IntentionAudioEngine.extractAudioParams(), the Flux prompt builder in
+// fal-test/ — stays in agreement about what an intention looks and sounds like.
+//
+// Spec shape (all plain JSON values):
+//   hash, generatorVersion,
+//   numPoints, points[{ longitude, latitude, radius, colorShift, sizeVariance,
+//                       glowStrength, twistFactor, depthBias }],
+//   numRings, primarySymmetry, secondarySymmetry, baseHue, complexity,
+//   connectionSkip, lissajousA, lissajousB, lissajousDelta,
+//   pulseAmplitude, pulseSpeed,
+//   skipEvolutionSpeed, lissajousEvolutionSpeed, symmetryEvolutionSpeed,
+//   harmonicInterval, projection (orthographic before profile 3),
+//   pointModulation (profile 4+),
+//   and from deriveFeatureParams() for every version:
+//   tiltAmplitudeX, tiltAmplitudeY, tiltSpeedX, tiltSpeedY, tiltPhase,
+//   perspectiveDistance, carrierInterval, harmonicPick, droneInterval
+
+// Node has no shared script scope — pull dependencies in explicitly.
+// In the browser they are already globals from the earlier <script> tags.
+if (typeof module !== 'undefined' && module.exports) {
+    var { hexToNumbers }                             = require('./hash-encoder.js');
+    var { getGeneratorProfile, deriveFeatureParams } = require('./generator-profiles.js');
+}
+
+// Turns a SHA-256 hex hash into a MandalaSpec using the given generator profile,
+// plus the feature fields every version shares.
+// Pure and synchronous: hashing the intention text stays with the caller.
+// generatorVersion follows getGeneratorProfile() — omitted means a
+// pre-versioning saved entry (v1), so pass CURRENT_GENERATOR_VERSION for new ones.
+function createMandalaSpec(hash, generatorVersion) {
+    const profile = getGeneratorProfile(generatorVersion);
+    const numbers = hexToNumbers(hash);
+
+    return Object.assign({
+        hash:             hash,
+        generatorVersion: profile.version,
+
+        // Orthographic was the only projection before profile 3 seeded one
+        projection:       'orthographic'
+    }, profile.derive(numbers), deriveFeatureParams(numbers));
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { createMandalaSpec };
+}
@@ -0,0 +1,144 @@
+// mandala-styles.js - Style registry for the Intention Keeper renderer
+//
+// A style is a visual interpretation of the same MandalaSpec. Instead of
+// branching on style names inside drawMandala(), each style declares:
+//
+//   name, label      — registry key and the text on its toggle button
+//   geometry         — 'planar' (rings of symmetry copies, parallax rotation),
+//                      'celestial' (the point cloud rotated in 3D), or a custom
+//                      function (generator, frame) that draws the geometry itself
+//                      through generator.batch (so it works on every backend),
+//                      multiplying absolute sizes by frame.pixelScale
+//   evolveSkip       — (generator) → connection skip for this frame
+//   symmetryLayers   — (generator) → [{ symmetry, hueShift, alphaScale }]
+//                      one entry per symmetry layer, drawn in order
+//   overlays         — names from MANDALA_OVERLAYS drawn beneath the geometry
+//   dotScale         — multiplier on the base dot radius
+//   glowSize         — glow radius for dots (in shadowBlur CSS pixels) before
+//                      pulse and depth scaling
+//   connectionGlow   — glow radius for connection curves, in CSS pixels
+//   loops            — true when the only motion is ring rotation, the pulse and
+//                      hue drift, so animated exports can loop seamlessly
+//                      (MandalaGenerator.seamlessLoop()). Omitted, it is true
+//                      only for planar styles with no overlays and Sacred's
+//                      evolveSkip and symmetryLayers — anything else may move
+//                      in ways a loop can't close, so it exports a fixed-length
+//                      clip unless the style sets loops: true itself.
+//
+// Anything omitted falls back to Sacred's behaviour. Experimental styles can be
+// added from a separate script loaded after this one — call registerMandalaStyle()
+// and the toggle UI picks it up. No changes to mandala.js needed.
+
+// Overlays are drawn beneath the main geometry. Each receives the generator and
+// the frame ({ pulse, scale, hue, pixelScale }) being drawn.
+const MANDALA_OVERLAYS = {
+    // Lissajous knot — its phase advances with time so the form continuously morphs
+    lissajous: (generator, frame) => {
+        const phase = generator.time * generator.lissajousEvolutionSpeed * 100;
+        generator.drawLissajous(frame.pulse, frame.hue, phase);
+    }
+};
+
+const MANDALA_STYLES = {};
+
+// The primary symmetry layer every built-in style starts from
+const primarySymmetryLayer = (generator) => ({
+    symmetry:   generator.primarySymmetry,
+    hueShift:   0,
+    alphaScale: 1
+});
+
+const STYLE_DEFAULTS = {
+    geometry:       'planar',
+    evolveSkip:     () => 1,
+    symmetryLayers: (generator) => [primarySymmetryLayer(generator)],
+    overlays:       [],
+    dotScale:       0.6,
+    glowSize:       6,
+    connectionGlow: 4
+};
+
+// Adds (or replaces) a style. Returns the completed definition.
+function registerMandalaStyle(definition) {
+    if (!definition || !definition.name) {
+        throw new Error('A mandala style needs a name');
+    }
+    (definition.overlays || []).forEach(overlay => {
+        if (!MANDALA_OVERLAYS[overlay]) {
+            throw new Error(`Style "${definition.name}" uses unknown overlay "${overlay}"`);
+        }
+    });
+
+    const style = Object.assign({}, STYLE_DEFAULTS, { label: definition.name }, definition);
+    if (definition.loops === undefined) {
+        style.loops = style.geometry === 'planar' && style.overlays.length === 0 &&
+                      style.evolveSkip === STYLE_DEFAULTS.evolveSkip &&
+                      style.symmetryLayers === STYLE_DEFAULTS.symmetryLayers;
+    }
+    MANDALA_STYLES[style.name] = style;
+    return style;
+}
+
+function getMandalaStyle(name) {
+    return MANDALA_STYLES[name] || null;
+}
+
+// Registered styles in registration order — the order of the toggle buttons
+function listMandalaStyles() {
+    return Object.values(MANDALA_STYLES);
+}
+
+// SACRED — stable, clean, navigational.
+// Single symmetry, consecutive connections, smaller crisper dots.
+registerMandalaStyle({
+    name:  'sacred',
+    label: '⚓ Sacred'
+});
+
+// COSMIC — evolving, infinite.
+// Connection skip slowly cycles through polygon families, an evolving secondary
+// symmetry layer adds interference, and the Lissajous overlay morphs beneath.
+// Dots slightly larger with stronger glow.
+registerMandalaStyle({
+    name:  'cosmic',
+    label: '✦ Cosmic',
+    evolveSkip: (generator) => {
+        const evolved = 1 + ((Math.sin(generator.time * generator.skipEvolutionSpeed * 100) + 1) / 2) * 6;
+        return Math.max(1, Math.round(evolved));
+    },
+    symmetryLayers: (generator) => {
+        const evolved = generator.secondarySymmetry +
+                        Math.sin(generator.time * generator.symmetryEvolutionSpeed * 100) * 2;
+        return [
+            primarySymmetryLayer(generator),
+            { symmetry: Math.max(3, Math.round(evolved)), hueShift: 180, alphaScale: 0.4 }
+        ];
+    },
+    overlays: ['lissajous'],
+    dotScale: 0.9,
+    glowSize: 9,
+    loops:    false
+});
+
+// CELESTIAL — the sphere itself, turning in space.
+// Same single symmetry and consecutive connections as Sacred, rotated in 3D.
+// Its connections are plain curves with no glow; only the dots glow.
+registerMandalaStyle({
+    name:           'celestial',
+    label:          '☄ Celestial',
+    geometry:       'celestial',
+    dotScale:       0.75,
+    glowSize:       10,
+    connectionGlow: 0,
+    loops:          false
+});
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        MANDALA_OVERLAYS,
+        MANDALA_STYLES,
+        registerMandalaStyle,
+        getMandalaStyle,
+        listMandalaStyles
+    };
+}
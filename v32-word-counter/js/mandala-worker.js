@@ -0,0 +1,48 @@
+// mandala-worker.js - Dedicated worker that draws the mandala on an OffscreenCanvas
+//
+// Started by MandalaWorkerProxy (mandala-proxy.js). The first message transfers
+// the canvas; every later message is one of MANDALA_COMMANDS, applied to the
+// MandalaGenerator living here. Nothing is hashed in the worker — it receives
+// finished MandalaSpecs.
+//
+// Load order mirrors index.html. Experimental style scripts go after mandala-styles.
+importScripts(
+    'hash-encoder.js',
+    'generator-profiles.js',
+    'mandala-spec.js',
+    'projections.js',
+    'render-batch.js',
+    'quality-governor.js',
+    'webgl-backend.js',
+    'mandala.js',
+    'mandala-styles.js',
+    'mandala-proxy.js'
+);
+
+let generator = null;
+
+self.addEventListener('message', (event) => {
+    const message = event.data;
+
+    if (message.type === 'init') {
+        generator = new MandalaGenerator(message.canvas, {
+            displaySize: message.displaySize,
+            pixelRatio:  message.pixelRatio
+        });
+        self.postMessage({ type: 'ready' });
+        return;
+    }
+
+    const command = MANDALA_COMMANDS[message.type];
+    if (!generator || !command) {
+        console.warn(`Mandala worker ignored "${message.type}" message`);
+        return;
+    }
+
+    // Report instead of dying — the proxy has no other view into the worker
+    try {
+        command(generator, message);
+    } catch (e) {
+        self.postMessage({ type: 'error', message: e.message });
+    }
+});
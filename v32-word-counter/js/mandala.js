@@ -1,12 +1,23 @@
 // mandala.js - Sacred geometry renderer for the Intention Keeper
 //
-// FOUNDATION (unchanged across both styles):
+// FOUNDATION (unchanged across all styles):
 // All point positions derive from SHA-256 hash bytes mapped to spherical coordinates
 // (longitude, latitude, radius) using the navigator's celestial sphere model and
 // golden ratio distribution. The MERIDIAN-HASH provenance is immutable.
 // Depth-of-field parallax: outer rings rotate slower than inner rings.
 // Counterclockwise rotation via direct coordinate math (not ctx.rotate).
 //
+// Styles are declared in mandala-styles.js — the renderer looks them up by name.
+// Shapes are drawn through a RenderBatch (render-batch.js): base points are
+// projected once per frame, dots and curves are grouped by colour into single
+// paths, and glow comes from cached sprites rather than per-shape shadowBlur.
+// The batch belongs to a render backend — WebGL2 (webgl-backend.js) where
+// available, Canvas 2D otherwise — and both draw the same geometry.
+// A QualityGovernor (quality-governor.js) trims glow, detail and resolution
+// on devices that cannot keep up.
+// Sizes are designed in CSS pixels and multiplied by pixelScale, so the canvas
+// can be drawn at devicePixelRatio on screen and at poster size for print.
+//
 // SACRED style — stable, clean, navigational
 //   Single symmetry, consecutive connections, smaller dots.
 //   The same geometric form breathes and rotates — a fixed constellation
@@ -17,16 +28,84 @@
 //   secondary symmetry layer adds interference patterns, Lissajous overlay
 //   morphs continuously. New geometric forms emerge from the same intention
 //   over time without ever repeating exactly.
+//
+// CELESTIAL style — the sphere itself, turning in space
+//   The spherical point cloud rotates in true 3D: hash-seeded tilt on the X and
+//   Y axes, counterclockwise spin on Z, perspective projection. Points and
+//   connections are depth-sorted, and dot size and alpha follow real z-depth.
+
+// Node has no shared script scope. Several dependencies are const or class
+// bindings in the browser, which a `var` re-declaration here would collide
+// with, so under Node they are installed as globals instead. In the browser
+// they are already globals from the earlier <script> tags.
+if (typeof module !== 'undefined' && module.exports) {
+    Object.assign(
+        globalThis,
+        require('./hash-encoder.js'),
+        require('./generator-profiles.js'),
+        require('./mandala-spec.js'),
+        require('./projections.js'),
+        require('./render-batch.js'),
+        require('./quality-governor.js'),
+        require('./webgl-backend.js'),
+        require('./mandala-styles.js')
+    );
+}
+
+// The original loop advanced one step per requestAnimationFrame and was tuned
+// on 60 Hz displays. Per-second rates below reproduce that pace on any display.
+const REFERENCE_FPS       = 60;
+const ROTATION_PER_SECOND = -0.005 * REFERENCE_FPS; // radians/second, counterclockwise
+
+// Hue drifts this many degrees per unit of this.time
+const HUE_DRIFT = 10;
+
+// sin(t) and sin(1.6t) in currentPulse() both repeat after 10π
+const PULSE_PERIOD = 10 * Math.PI;
+
+// Parallax: a ring at depth 0-1 turns at rotationAngle × (BASE + depth × SPREAD).
+// SPREAD / BASE must stay a whole number for seamlessLoop() to find a loop.
+const PARALLAX_BASE   = 0.3;
+const PARALLAX_SPREAD = 1.5;
+
+// seamlessLoop() settles for the first loop whose pulse and hue drift play
+// within this share of their live speed
+const LOOP_SPEED_TOLERANCE = 0.05;
+
+// The spiral dissolve was designed as 60 discrete steps across its duration
+const DISSOLVE_STEPS = 60;
+
+// Celestial primitives are batched within this many z-depth bands
+const CELESTIAL_DEPTH_BANDS = 24;
 
 class MandalaGenerator {
-    constructor(canvas) {
+    // canvas may be an HTMLCanvasElement or an OffscreenCanvas.
+    // options.displaySize fixes the on-screen size in CSS pixels — a worker has
+    // no window to measure, so its proxy sends the size instead. Without it the
+    // canvas follows the window.
+    // options.pixelRatio sets backing-store pixels per CSS pixel — the window's
+    // devicePixelRatio by default; a worker is sent it by its proxy.
+    // options.pageSize ({ width, height } in CSS pixels) replaces the square
+    // canvas with a fixed page — print exports (print-export.js) use this.
+    // options.backend picks the drawing backend: 'auto' (WebGL2 when the browser
+    // provides it, else Canvas 2D), 'webgl2', '2d', or a backend object such as
+    // a RecordingBackend (recording-backend.js).
+    constructor(canvas, options = {}) {
         this.canvas = canvas;
-        this.ctx    = canvas.getContext('2d');
         this.animationFrame = null;
         this.time   = 0;
         this.points = [];
 
-        // Structural parameters — seeded from hash in generate()
+        // Everything is drawn through the backend and its batch (render-batch.js).
+        // ctx is the 2D context under Canvas 2D and null under WebGL2.
+        this.backend = this.createBackend(options.backend || 'auto');
+        this.batch   = this.backend.batch;
+        this.ctx     = this.backend.ctx || null;
+
+        // Active MandalaSpec — set by applySpec(), null until the first generate()
+        this.spec = null;
+
+        // Structural parameters — copied from the MandalaSpec in applySpec()
         this.numRings          = 0;
         this.primarySymmetry   = 0;
         this.secondarySymmetry = 0;
@@ -37,97 +116,330 @@ class MandalaGenerator {
         this.lissajousB        = 2;
         this.lissajousDelta    = 0;
 
+        // Per-point modulation — neutral unless the spec's profile enables it.
+        // modulation[i] holds point i's hue, size, glow, twist and alpha factors;
+        // drawOrder lists point indices back to front by depthBias.
+        this.pointModulation = false;
+        this.modulation      = [];
+        this.drawOrder       = [];
+
+        // Sphere projection — hash-seeded from the spec, optionally overridden by the user
+        this.projection         = 'orthographic';
+        this.projectionOverride = null;
+
         // Cosmic evolution speeds — seeded from hash, unique per intention
         this.skipEvolutionSpeed      = 0.001;
         this.lissajousEvolutionSpeed = 0.003;
         this.symmetryEvolutionSpeed  = 0.0005;
 
+        // Celestial 3D tilt and perspective — seeded from hash, unique per intention
+        this.tiltAmplitudeX      = 0.5;
+        this.tiltAmplitudeY      = 0.5;
+        this.tiltSpeedX          = 0.3;
+        this.tiltSpeedY          = 0.3;
+        this.tiltPhase           = 0;
+        this.perspectiveDistance = 5.5;
+
         this.hashNumbers   = [];
         this.fullHash      = '';
         this.intentionText = '';
         this.showHash      = true;
+        this.generatorVersion = CURRENT_GENERATOR_VERSION;
+
+        // Canonicalization provenance — set in generate(), drawn with MERIDIAN-HASH
+        this.canonicalText    = '';
+        this.canonicalVersion = CURRENT_CANONICAL_VERSION;
+        this.caseFold         = false;
+
+        // 'public' (SHA-256) or 'private' (passphrase-keyed HMAC) — shown beside MERIDIAN-HASH
+        this.hashMode         = 'public';
 
         this.pulseAmplitude = 0.10;
         this.pulseSpeed     = 0.02;
 
-        // Master rotation angle — decremented each frame for counterclockwise movement.
-        // Applied directly to point coordinates, not via ctx.rotate().
+        // Seconds since the mandala appeared — the single clock every frame is derived from
+        this.elapsed = 0;
+
+        // Master rotation angle — derived from elapsed seconds in setClock(), negative
+        // for counterclockwise movement. Applied directly to point coordinates, not via ctx.rotate().
         this.rotationAngle = 0;
 
-        // Active style — 'sacred' or 'cosmic'. Default is sacred.
+        // Hue drift in degrees — derived from the clock in setClock()
+        this.hueAngle = 0;
+
+        // Active style — any name registered in mandala-styles.js. Default is sacred.
         this.style = 'sacred';
 
+        // Adaptive quality (quality-governor.js) — tiers step down on slow devices.
+        // showHud draws FPS and the active tier in the live loop.
+        this.quality = new QualityGovernor();
+        this.showHud = false;
+
+        // Everything is designed in CSS pixels. pixelScale — backing-store pixels
+        // per CSS pixel, set in resizeCanvas() — multiplies every absolute size
+        // (dot radii, glows, stroke widths, fonts) so the picture is the same at
+        // any devicePixelRatio, quality resolution or print size.
+        this.pixelRatio = options.pixelRatio ||
+                          (typeof devicePixelRatio !== 'undefined' && devicePixelRatio) || 1;
+        this.pixelScale = 1;
+
+        this.fixedDisplaySize = options.displaySize || null;
+        this.pageSize         = options.pageSize || null;
         this.resizeCanvas();
-        window.addEventListener('resize', () => this.resizeCanvas());
+        if (!this.fixedDisplaySize && !this.pageSize) {
+            // Zooming and moving to another screen change devicePixelRatio too
+            window.addEventListener('resize', () => {
+                this.pixelRatio = window.devicePixelRatio || 1;
+                this.resizeCanvas();
+            });
+        }
     }
 
+    // The canvas keeps its on-screen size; its backing store is that size times
+    // devicePixelRatio, so it is sharp on high-density screens. The Low-Res
+    // quality tier lowers the resolution from there. Everything drawn scales
+    // with pixelScale, so the picture is the same, just softer or sharper.
     resizeCanvas() {
-        const maxSize      = Math.min(window.innerWidth - 40, 600);
-        this.canvas.width  = maxSize;
-        this.canvas.height = maxSize;
+        const maxSize = this.displaySize();
+        const page    = this.pageSize || { width: maxSize, height: maxSize };
+        this.pixelScale = this.pixelRatio * this.quality.settings.resolution;
+        if (this.canvas.style) {
+            // An OffscreenCanvas has no CSS box — its placeholder element is sized by the proxy
+            this.canvas.style.width  = `${page.width}px`;
+            this.canvas.style.height = `${page.height}px`;
+        }
+        this.canvas.width  = Math.round(page.width  * this.pixelScale);
+        this.canvas.height = Math.round(page.height * this.pixelScale);
         this.centerX       = this.canvas.width  / 2;
         this.centerY       = this.canvas.height / 2;
+        this.backend.resize();
+    }
+
+    // WebGL2 (webgl-backend.js) when available — software rasterizers included —
+    // otherwise Canvas 2D. A canvas keeps the first context type it hands out,
+    // so WebGL2 is only attempted when it may be used.
+    createBackend(preference) {
+        if (typeof preference === 'object') return preference;
+        if (preference !== '2d' && typeof WebGL2Backend !== 'undefined') {
+            const backend = WebGL2Backend.create(this.canvas);
+            if (backend) return backend;
+            if (preference === 'webgl2') console.warn('WebGL2 is not available; drawing with Canvas 2D.');
+        }
+        return new Canvas2DBackend(this.canvas);
+    }
+
+    // On-screen canvas size in CSS pixels
+    displaySize() {
+        return this.fixedDisplaySize || Math.min(window.innerWidth - 40, 600);
+    }
+
+    // Fixes the on-screen size (see constructor options) and resizes to match.
+    // pixelRatio, when given, replaces the backing-store density too.
+    setDisplaySize(size, pixelRatio) {
+        this.fixedDisplaySize = size;
+        if (pixelRatio) this.pixelRatio = pixelRatio;
+        this.resizeCanvas();
+    }
+
+    // Pins a quality tier (index into QUALITY_TIERS), or null for automatic
+    setQualityTier(tier) {
+        this.quality.pin(tier);
+        this.applyQuality();
+    }
+
+    // Pushes the active tier's settings into the renderer
+    applyQuality() {
+        const settings = this.quality.settings;
+        this.batch.glowEnabled = settings.glow;
+
+        if (this.pixelScale !== this.pixelRatio * settings.resolution) {
+            this.resizeCanvas();
+        }
     }
 
-    // Hashes the intention and extracts all visual parameters.
+    // Canonicalizes and hashes the intention, then applies its MandalaSpec.
     // Both styles share the same hash and point positions.
-    async generate(intentionText) {
-        this.intentionText = intentionText;
-        const hash         = await generateHash(intentionText);
-        this.hashNumbers   = hexToNumbers(hash);
-        this.fullHash      = hash;
-
-        // Structural — shared by both styles
-        const numPoints          = 8  + (this.hashNumbers[0] % 8);
-        this.numRings            = 3  + (this.hashNumbers[1] % 5);
-        this.primarySymmetry     = [6, 8, 12, 16][this.hashNumbers[2] % 4];
-        this.baseHue             = this.hashNumbers[3] % 360;
-        this.complexity          = 1  + (this.hashNumbers[4] % 3);
-
-        // Cosmic parameters — extracted always, rendered only in Cosmic style
-        this.connectionSkip    = 1 + (this.hashNumbers[5] % 7);
-        this.secondarySymmetry = [3, 5, 7, 9][this.hashNumbers[6] % 4];
-        const lissajousPairs   = [[3,2],[4,3],[5,4],[5,3],[7,4],[6,5]];
-        const pair             = lissajousPairs[this.hashNumbers[8] % lissajousPairs.length];
-        this.lissajousA        = pair[0];
-        this.lissajousB        = pair[1];
-        this.lissajousDelta    = (this.hashNumbers[9] / 255) * Math.PI;
-
-        // Breathing — shared by both styles
-        this.pulseAmplitude = 0.05 + (this.hashNumbers[10] / 255) * 0.15;
-        this.pulseSpeed     = 0.015 + (this.hashNumbers[11] / 255) * 0.03;
-
-        // Cosmic evolution speeds — each intention evolves at its own rate
-        this.skipEvolutionSpeed      = 0.0005 + (this.hashNumbers[20] / 255) * 0.001;
-        this.lissajousEvolutionSpeed = 0.001  + (this.hashNumbers[21] / 255) * 0.004;
-        this.symmetryEvolutionSpeed  = 0.0002 + (this.hashNumbers[22] / 255) * 0.0008;
+    // options carries the provenance needed to reproduce a saved intention:
+    //   generatorVersion — frozen profile that turns hash bytes into geometry
+    //   canonicalVersion — frozen canonicalization applied before hashing
+    //   caseFold         — whether case was folded during canonicalization
+    //   passphrase       — private mode: HMAC keyed by the owner's passphrase
+    // Saved intentions pass their recorded values so they redraw exactly as they
+    // were first made. New intentions use the current versions.
+    async generate(intentionText, options = {}) {
+        const prepared = await MandalaGenerator.prepareIntention(intentionText, options);
+        this.applyPrepared(prepared, intentionText);
+        return prepared.hashed.hash;
+    }
+
+    // The canvas-free half of generate(): hashes the intention and derives its
+    // MandalaSpec. MandalaWorkerProxy calls this on the main thread and sends
+    // only the results to its worker.
+    static async prepareIntention(intentionText, options = {}) {
+        const generatorVersion = options.generatorVersion == null
+            ? CURRENT_GENERATOR_VERSION : options.generatorVersion;
+
+        const hashed = await hashIntention(intentionText, options);
+        return { hashed, spec: createMandalaSpec(hashed.hash, generatorVersion) };
+    }
+
+    // The other half: draws a prepareIntention() result. Callers that must check
+    // the hash first (a private mandala's passphrase) prepare, check, then apply.
+    applyPrepared({ hashed, spec }, intentionText) {
+        this.applyHashed(hashed);
+        this.applySpec(spec, intentionText);
+    }
 
+    // Records how the hash was made (hashIntention() result) for the provenance overlay
+    applyHashed(hashed) {
+        this.canonicalText    = hashed.canonicalText;
+        this.canonicalVersion = hashed.canonicalVersion;
+        this.caseFold         = hashed.caseFold;
+        this.hashMode         = hashed.mode;
+    }
+
+    // Everything needed to reproduce the current mandala — saved with each intention.
+    getProvenance() {
+        return {
+            hash:             this.fullHash,
+            generatorVersion: this.generatorVersion,
+            canonicalVersion: this.canonicalVersion,
+            canonicalText:    this.canonicalText,
+            caseFold:         this.caseFold,
+            mode:             this.hashMode
+        };
+    }
+
+    // The frame on screen right now, as data: everything another generator needs
+    // to redraw it exactly. Exports (svg-export.js) render from this rather than
+    // from the live canvas, so they don't depend on its size or quality tier.
+    frameState() {
+        return {
+            hashed: {
+                canonicalText:    this.canonicalText,
+                canonicalVersion: this.canonicalVersion,
+                caseFold:         this.caseFold,
+                mode:             this.hashMode
+            },
+            spec:          this.spec,
+            intentionText: this.intentionText,
+            style:         this.style,
+            projection:    this.projectionOverride,
+            seconds:       this.elapsed
+        };
+    }
+
+    // Loads a frameState() from another renderer, ready for renderAt(state.seconds)
+    applyFrameState(state) {
+        this.applyHashed(state.hashed);
+        this.applySpec(state.spec, state.intentionText);
+        this.setStyle(state.style);
+        this.setProjection(state.projection);
+    }
+
+    // Loads a MandalaSpec into the renderer and resets animation state.
+    // All hash-derived parameters come from the spec — nothing is re-derived here.
+    applySpec(spec, intentionText) {
+        this.spec             = spec;
+        this.intentionText    = intentionText;
+        this.fullHash         = spec.hash;
+        this.hashNumbers      = hexToNumbers(spec.hash);
+        this.generatorVersion = spec.generatorVersion;
+
+        this.numRings          = spec.numRings;
+        this.primarySymmetry   = spec.primarySymmetry;
+        this.baseHue           = spec.baseHue;
+        this.complexity        = spec.complexity;
+
+        this.connectionSkip    = spec.connectionSkip;
+        this.secondarySymmetry = spec.secondarySymmetry;
+        this.lissajousA        = spec.lissajousA;
+        this.lissajousB        = spec.lissajousB;
+        this.lissajousDelta    = spec.lissajousDelta;
+        this.projection        = spec.projection;
+
+        this.pulseAmplitude = spec.pulseAmplitude;
+        this.pulseSpeed     = spec.pulseSpeed;
+
+        this.skipEvolutionSpeed      = spec.skipEvolutionSpeed;
+        this.lissajousEvolutionSpeed = spec.lissajousEvolutionSpeed;
+        this.symmetryEvolutionSpeed  = spec.symmetryEvolutionSpeed;
+
+        this.tiltAmplitudeX      = spec.tiltAmplitudeX;
+        this.tiltAmplitudeY      = spec.tiltAmplitudeY;
+        this.tiltSpeedX          = spec.tiltSpeedX;
+        this.tiltSpeedY          = spec.tiltSpeedY;
+        this.tiltPhase           = spec.tiltPhase;
+        this.perspectiveDistance = spec.perspectiveDistance;
+
+        this.elapsed       = 0;
         this.rotationAngle = 0;
+        this.hueAngle      = 0;
         this.time          = 0;
+        this.points        = spec.points;
 
-        this.points = [];
-        for (let i = 0; i < numPoints; i++) {
-            this.points.push(hashToSphericalCoords(this.hashNumbers, i));
+        this.pointModulation = spec.pointModulation === true;
+        this.buildPointModulation();
+    }
+
+    // Turns each point's secondary hash values into render factors.
+    // hashToSphericalCoords()/streamToSphericalCoords() derive five values per
+    // point; with modulation on, points in the same ring stop looking identical:
+    //   colorShift   → hue offset, ±30°
+    //   sizeVariance → dot radius ×0.7–1.3
+    //   glowStrength → glow ×0.4–1.6
+    //   twistFactor  → angular twist, ±0.25 rad at the outermost ring, so the
+    //                  rings wind into a faint spiral as they turn
+    //   depthBias    → draw order (back to front) and alpha ×0.8–1.2
+    // With modulation off every factor is neutral and the order is natural,
+    // so mandalas from earlier profiles render exactly as before.
+    buildPointModulation() {
+        this.modulation = this.points.map(point => this.pointModulation
+            ? {
+                hueOffset:  (point.colorShift - 0.5) * 60,
+                sizeScale:  0.7 + point.sizeVariance * 0.6,
+                glowScale:  0.4 + point.glowStrength * 1.2,
+                twist:      (point.twistFactor - 0.5) * 0.5,
+                alphaScale: 0.8 + point.depthBias * 0.4,
+                depthBias:  point.depthBias
+            }
+            : { hueOffset: 0, sizeScale: 1, glowScale: 1, twist: 0, alphaScale: 1, depthBias: 0.5 }
+        );
+
+        this.drawOrder = this.points.map((_, i) => i);
+        if (this.pointModulation) {
+            this.drawOrder.sort((a, b) => this.modulation[a].depthBias - this.modulation[b].depthBias);
         }
+    }
 
-        return hash;
+    // Hue of one point within a layer, including its modulation offset
+    pointHue(layerHue, mod) {
+        return mod.hueOffset ? (layerHue + mod.hueOffset + 360) % 360 : layerHue;
     }
 
     // Switches rendering style without re-hashing.
-    // app.js calls this when the user clicks Sacred or Cosmic button.
+    // app.js calls this when the user clicks a style toggle button.
+    // Only registered styles (mandala-styles.js) are accepted.
     setStyle(styleName) {
+        if (!getMandalaStyle(styleName)) {
+            throw new Error(`Unknown mandala style "${styleName}"`);
+        }
         this.style = styleName;
     }
 
-    // Orthographic projection — the navigational celestial sphere projection.
-    // Used by both styles. Preserves circular mandala appearance.
+    // Overrides the hash-seeded projection with the user's choice.
+    // Pass null to return to the intention's own projection.
+    setProjection(projectionName) {
+        this.projectionOverride = PROJECTIONS[projectionName] ? projectionName : null;
+    }
+
+    // Projects a celestial-sphere point with the active projection (projections.js).
+    // Used by both styles. Orthographic preserves the classic circular mandala.
     projectPoint(lon, lat, radius, scale) {
-        const phi   = (90 - lat)  * (Math.PI / 180);
-        const theta = (lon + 180) * (Math.PI / 180);
-        return {
-            x: Math.sin(phi) * Math.cos(theta) * scale * radius,
-            y: Math.sin(phi) * Math.sin(theta) * scale * radius
-        };
+        return projectSpherical(
+            this.projectionOverride || this.projection,
+            lon, lat, radius, scale
+        );
     }
 
     // Direct coordinate rotation around canvas center.
@@ -143,62 +455,64 @@ class MandalaGenerator {
         };
     }
 
-    // Lissajous overlay — Cosmic style only.
+    // Lissajous overlay — registered in MANDALA_OVERLAYS, used by Cosmic.
     // lissajousPhase advances over time so the knot form continuously morphs.
     // Kept subtle (alpha 0.2) so it supports rather than dominates the main geometry.
     drawLissajous(pulse, hue, lissajousPhase) {
-        const steps = 200;
+        const steps = this.quality.settings.lissajousSteps;
         const scale = Math.min(this.canvas.width, this.canvas.height) * 0.3 * pulse;
+        const px    = this.pixelScale;
         const alpha = 0.2;
+        const glow  = 6 * px;
+        const cos   = Math.cos(this.rotationAngle * 0.5);
+        const sin   = Math.sin(this.rotationAngle * 0.5);
 
-        this.ctx.beginPath();
+        const coords = [];
         for (let i = 0; i <= steps; i++) {
             const t    = (i / steps) * Math.PI * 2;
             const rawX = Math.sin(this.lissajousA * t + this.lissajousDelta + lissajousPhase) * scale;
             const rawY = Math.sin(this.lissajousB * t + lissajousPhase * 0.7) * scale;
-            const rotated = this.rotatePoint(
-                this.centerX + rawX,
-                this.centerY + rawY,
-                this.rotationAngle * 0.5
+            coords.push(
+                this.centerX + rawX * cos - rawY * sin,
+                this.centerY + rawX * sin + rawY * cos
             );
-            if (i === 0) this.ctx.moveTo(rotated.x, rotated.y);
-            else         this.ctx.lineTo(rotated.x, rotated.y);
         }
 
-        this.ctx.strokeStyle = `hsla(${(hue + 120) % 360}, 60%, 55%, ${alpha})`;
-        this.ctx.lineWidth   = 1;
-        this.ctx.shadowBlur  = 6;
-        this.ctx.shadowColor = `hsla(${(hue + 120) % 360}, 70%, 65%, ${alpha})`;
-        this.ctx.stroke();
-        this.ctx.shadowBlur  = 0;
+        // Halo pass in place of shadowBlur (see RenderBatch.curveHalo), then the line.
+        // A wider line casts a stronger halo, hence × px.
+        const lineHue = (hue + 120) % 360;
+        if (this.batch.glowEnabled) {
+            this.batch.line(coords, lineHue, 70, 65, Number((alpha * alpha * 0.8 * px / glow).toFixed(3)), glow);
+        }
+        this.batch.line(coords, lineHue, 60, 55, alpha, px);
+        this.batch.flush({ part: 'lissajous' });
     }
 
-    // Renders one frame using the parallax depth-of-field system.
-    // evolvedSkip and evolvedSymmetry are time-driven in Cosmic style,
-    // fixed in Sacred style.
-    drawMandala(pulse) {
-        this.ctx.fillStyle = 'rgba(0, 0, 0, 0.95)';
-        this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+    // Unit-ring offsets of every point from the centre with the active projection:
+    // projectPoint() at ring radius 1 and pulse 1. Projection is linear in radius,
+    // so each ring only scales these — the sphere is projected once per frame.
+    projectBasePoints(scale) {
+        return this.points.map(point =>
+            this.projectPoint(point.longitude, point.latitude, point.radius, scale)
+        );
+    }
 
-        const scale = Math.min(this.canvas.width, this.canvas.height) / 3;
-        const hue   = (this.baseHue + this.time * 10) % 360;
-
-        // Cosmic time-driven evolution — parameters shift slowly over time
-        // producing continuously new geometric forms from the same intention
-        const evolvedSkip = this.style === 'cosmic'
-            ? 1 + ((Math.sin(this.time * this.skipEvolutionSpeed * 100) + 1) / 2) * 6
-            : 1;
-        const evolvedSymmetry = this.style === 'cosmic'
-            ? this.secondarySymmetry + Math.sin(this.time * this.symmetryEvolutionSpeed * 100) * 2
-            : this.secondarySymmetry;
-        const lissajousPhase = this.style === 'cosmic'
-            ? this.time * this.lissajousEvolutionSpeed * 100
-            : 0;
-
-        // Lissajous only in Cosmic — drawn first so main geometry sits on top
-        if (this.style === 'cosmic') {
-            this.drawLissajous(pulse, hue, lissajousPhase);
-        }
+    // Planar geometry using the parallax depth-of-field system.
+    // The frame's skip and symmetry layers come from the active style, so they
+    // are time-driven in Cosmic and fixed in Sacred.
+    //
+    // Each point's position is its base projection scaled to the ring, turned by
+    // its twist, then by the symmetry angle plus the ring's parallax rotation —
+    // rotations about the centre compose, so that is one rotation per copy.
+    // Every ring layer is collected into the batch and drawn in a single flush.
+    drawPlanar(frame) {
+        const { pulse, scale, hue, style, skip, pixelScale: px } = frame;
+        const base  = this.projectBasePoints(scale);
+        const count = this.points.length;
+        const batch = this.batch;
+
+        const ringPoints = new Array(count);
+        const placed     = new Array(count);
 
         // Draw rings back to front for correct depth ordering
         for (let ring = this.numRings - 1; ring >= 0; ring--) {
@@ -210,127 +524,310 @@ class MandalaGenerator {
             // This is the core of the depth-of-field effect that made the version
             // you loved look so dimensional. Range 0.3-1.8 gives 6x speed difference.
             const depth        = ring / (this.numRings - 1 || 1);
-            const depthFactor  = 0.3 + depth * 1.5;
+            const depthFactor  = PARALLAX_BASE + depth * PARALLAX_SPREAD;
             const ringRotation = this.rotationAngle * depthFactor;
 
-            // Sacred: primary symmetry only. Cosmic: adds evolving secondary layer.
-            const symmetries = this.style === 'cosmic'
-                ? [this.primarySymmetry, Math.max(3, Math.round(evolvedSymmetry))]
-                : [this.primarySymmetry];
+            // Control point pulled toward center approximates geodesic curvature
+            const bend = 0.85 - ring * 0.03;
 
-            // Sacred: consecutive connections. Cosmic: slowly cycling skip value.
-            const skip = this.style === 'cosmic'
-                ? Math.max(1, Math.round(evolvedSkip))
-                : 1;
+            // Ring-scaled, twisted offsets — shared by every layer and copy of this ring
+            for (let i = 0; i < count; i++) {
+                const twist = this.modulation[i].twist * depth;
+                const x     = base[i].x * ringRadius * pulse;
+                const y     = base[i].y * ringRadius * pulse;
+                ringPoints[i] = twist
+                    ? { x: x * Math.cos(twist) - y * Math.sin(twist), y: x * Math.sin(twist) + y * Math.cos(twist) }
+                    : { x, y };
+            }
 
-            symmetries.forEach((symmetry, symLayerIdx) => {
-                const layerHue   = symLayerIdx === 0 ? ringHue : (ringHue + 180) % 360;
-                const layerAlpha = symLayerIdx === 0 ? alpha : alpha * 0.4;
+            frame.layers.forEach(({ symmetry, hueShift, alphaScale }, layer) => {
+                const layerHue   = (ringHue + hueShift) % 360;
+                const layerAlpha = alpha * alphaScale;
 
                 for (let sym = 0; sym < symmetry; sym++) {
-                    const symAngle = (Math.PI * 2 * sym) / symmetry;
-
-                    for (let i = 0; i < this.points.length; i++) {
-                        const point = this.points[i];
-
-                        const base = this.projectPoint(
-                            point.longitude, point.latitude,
-                            point.radius * ringRadius * pulse, scale
-                        );
-
-                        const symRotated = this.rotatePoint(
-                            this.centerX + base.x,
-                            this.centerY + base.y,
-                            symAngle
-                        );
-
-                        const final = this.rotatePoint(
-                            symRotated.x, symRotated.y, ringRotation
-                        );
-
-                        // Sacred dots smaller and crisper.
-                        // Cosmic dots slightly larger with stronger glow.
-                        const dotScale  = this.style === 'sacred' ? 0.6 : 0.9;
-                        const depthSize = (2 + this.complexity) * pulse *
-                                          (0.7 + depth * 0.6) * dotScale;
-
-                        this.ctx.beginPath();
-                        this.ctx.arc(final.x, final.y, depthSize, 0, Math.PI * 2);
-                        this.ctx.fillStyle   = `hsla(${layerHue}, 70%, 60%, ${layerAlpha})`;
-                        this.ctx.shadowBlur  = (this.style === 'sacred' ? 6 : 9) *
-                                               pulse * (0.5 + depth * 0.8);
-                        this.ctx.shadowColor = `hsla(${layerHue}, 80%, 70%, ${layerAlpha})`;
-                        this.ctx.fill();
+                    const angle = (Math.PI * 2 * sym) / symmetry + ringRotation;
+                    const cos   = Math.cos(angle);
+                    const sin   = Math.sin(angle);
+
+                    for (let i = 0; i < count; i++) {
+                        const p = ringPoints[i];
+                        placed[i] = {
+                            x: this.centerX + p.x * cos - p.y * sin,
+                            y: this.centerY + p.x * sin + p.y * cos
+                        };
+                    }
+
+                    // Back-to-front by depthBias when modulation is on
+                    for (const i of this.drawOrder) {
+                        const mod      = this.modulation[i];
+                        const dotHue   = this.pointHue(layerHue, mod);
+                        const dotAlpha = layerAlpha * mod.alphaScale;
+                        const final    = placed[i];
+
+                        // Dot size and glow are declared per style, then modulated per point
+                        const depthSize = (2 + this.complexity) * pulse * px *
+                                          (0.7 + depth * 0.6) * style.dotScale * mod.sizeScale;
+                        const glow      = style.glowSize * pulse * px * (0.5 + depth * 0.8) * mod.glowScale;
+
+                        batch.dot(final.x, final.y, depthSize, dotHue, 70, 60, dotAlpha);
+                        batch.glow(final.x, final.y, depthSize, glow, dotHue, 80, 70, dotAlpha * dotAlpha);
 
                         // Connect to target point using bezier curve
-                        const targetIdx = (i + skip) % this.points.length;
+                        const targetIdx = (i + skip) % count;
                         if (targetIdx !== i) {
-                            const tp    = this.points[targetIdx];
-                            const tBase = this.projectPoint(
-                                tp.longitude, tp.latitude,
-                                tp.radius * ringRadius * pulse, scale
-                            );
-                            const tSymRotated = this.rotatePoint(
-                                this.centerX + tBase.x,
-                                this.centerY + tBase.y,
-                                symAngle
-                            );
-                            const tFinal = this.rotatePoint(
-                                tSymRotated.x, tSymRotated.y, ringRotation
-                            );
-
-                            // Control point pulled toward center approximates geodesic curvature
-                            const cpX = (final.x + tFinal.x) / 2 * (0.85 - ring * 0.03) +
-                                        this.centerX * (1 - (0.85 - ring * 0.03));
-                            const cpY = (final.y + tFinal.y) / 2 * (0.85 - ring * 0.03) +
-                                        this.centerY * (1 - (0.85 - ring * 0.03));
-
-                            this.ctx.beginPath();
-                            this.ctx.moveTo(final.x, final.y);
-                            this.ctx.quadraticCurveTo(cpX, cpY, tFinal.x, tFinal.y);
-                            this.ctx.strokeStyle = `hsla(${layerHue}, 60%, 50%, ${layerAlpha * 0.5})`;
-                            this.ctx.lineWidth   = 1;
-                            this.ctx.shadowBlur  = 4;
-                            this.ctx.stroke();
+                            const tFinal = placed[targetIdx];
+                            const cpX    = (final.x + tFinal.x) / 2 * bend + this.centerX * (1 - bend);
+                            const cpY    = (final.y + tFinal.y) / 2 * bend + this.centerY * (1 - bend);
+                            const lineAlpha = dotAlpha * 0.5;
+
+                            // Halo strength follows the line width (see drawLissajous)
+                            batch.curve(final.x, final.y, cpX, cpY, tFinal.x, tFinal.y,
+                                        dotHue, 60, 50, lineAlpha, px);
+                            batch.curveHalo(final.x, final.y, cpX, cpY, tFinal.x, tFinal.y,
+                                            style.connectionGlow * px, dotHue, 80, 70, lineAlpha * dotAlpha * px);
                         }
                     }
                 }
+
+                batch.flush({ ring, layer });
+            });
+        }
+    }
+
+    // Celestial geometry — the spherical point cloud rotated in 3D.
+    // Each ring is copied around the style's symmetry layers with the same parallax
+    // spin as the planar styles, then the whole constellation tilts on X and Y
+    // (hash-seeded amplitude and speed) and is seen through a perspective camera.
+    // Dots and connections are collected first and drawn back to front by z.
+    drawCelestial(frame) {
+        const { pulse, scale, hue, style, skip, pixelScale: px } = frame;
+
+        const tiltX = this.tiltAmplitudeX * Math.sin(this.time * this.tiltSpeedX);
+        const tiltY = this.tiltAmplitudeY * Math.sin(this.time * this.tiltSpeedY + this.tiltPhase);
+        const tilt  = {
+            cosX: Math.cos(tiltX), sinX: Math.sin(tiltX),
+            cosY: Math.cos(tiltY), sinY: Math.sin(tiltY)
+        };
+
+        // Outermost possible radius — normalizes z into a 0 (back) to 1 (front) depth
+        const maxDepth = 1.4 * pulse;
+        const depthOf  = (z) => Math.max(0, Math.min(1, (z / maxDepth + 1) / 2));
+
+        const primitives = [];
+
+        for (let ring = 0; ring < this.numRings; ring++) {
+            const ringRadius   = (ring + 1) / this.numRings;
+            const ringHue      = (hue + ring * 30) % 360;
+            const ringDepth    = ring / (this.numRings - 1 || 1);
+            const depthFactor  = PARALLAX_BASE + ringDepth * PARALLAX_SPREAD;
+            const ringRotation = this.rotationAngle * depthFactor;
+
+            frame.layers.forEach(({ symmetry, hueShift, alphaScale }) => {
+                const layerHue = (ringHue + hueShift) % 360;
+
+                for (let sym = 0; sym < symmetry; sym++) {
+                    const spin = (Math.PI * 2 * sym) / symmetry + ringRotation;
+                    const projected = this.points.map((point, i) =>
+                        this.transformCelestial(
+                            point, ringRadius * pulse,
+                            spin + this.modulation[i].twist * ringDepth, tilt, scale
+                        )
+                    );
+
+                    projected.forEach((p, i) => {
+                        const mod = this.modulation[i];
+
+                        // depthBias nudges the sort key only — visual depth stays the real z
+                        const order = this.pointModulation ? p.z + (mod.depthBias - 0.5) * 0.05 : p.z;
+                        primitives.push({
+                            kind: 'dot', z: p.z, order, p, mod,
+                            hue: this.pointHue(layerHue, mod), alphaScale: alphaScale * mod.alphaScale
+                        });
+
+                        const target = projected[(i + skip) % projected.length];
+                        if (target !== p) {
+                            const z = (p.z + target.z) / 2;
+                            primitives.push({
+                                kind: 'link', z, order: z,
+                                p, target, hue: layerHue, alphaScale
+                            });
+                        }
+                    });
+                }
             });
         }
 
-        // Center dot — visual anchor, same in both styles
-        this.ctx.beginPath();
-        this.ctx.arc(this.centerX, this.centerY, 5 * pulse, 0, Math.PI * 2);
-        this.ctx.fillStyle   = `hsl(${this.baseHue}, 80%, 70%)`;
-        this.ctx.shadowBlur  = 15 * pulse;
-        this.ctx.shadowColor = `hsl(${this.baseHue}, 80%, 70%)`;
-        this.ctx.fill();
-        this.ctx.shadowBlur  = 0;
+        // Painter's algorithm — furthest first so nearer geometry sits on top.
+        // Primitives are batched within depth bands: colours and widths use the
+        // band's depth, positions and sizes stay exact.
+        primitives.sort((a, b) => a.order - b.order);
+
+        const batch = this.batch;
+        let band = -1;
+
+        for (const prim of primitives) {
+            const level = Math.round(depthOf(prim.z) * CELESTIAL_DEPTH_BANDS);
+            if (level !== band) {
+                batch.flush({ band });
+                band = level;
+            }
+            const depth = level / CELESTIAL_DEPTH_BANDS;
+
+            if (prim.kind === 'link') {
+                // Control point pulled toward centre approximates geodesic curvature
+                const cpX   = (prim.p.x + prim.target.x) / 2 * 0.85 + this.centerX * 0.15;
+                const cpY   = (prim.p.y + prim.target.y) / 2 * 0.85 + this.centerY * 0.15;
+                const alpha = (0.1 + depth * 0.4) * 0.6 * prim.alphaScale;
+
+                batch.curve(prim.p.x, prim.p.y, cpX, cpY, prim.target.x, prim.target.y,
+                            prim.hue, 60, 50, alpha, (0.5 + depth) * px);
+                batch.curveHalo(prim.p.x, prim.p.y, cpX, cpY, prim.target.x, prim.target.y,
+                                style.connectionGlow * depth * px, prim.hue, 80, 70, alpha * alpha * px);
+            } else {
+                // Nearer dots are larger, brighter and glow more — size also
+                // scales with the perspective factor so depth reads physically
+                const exact = depthOf(prim.z);
+                const alpha = (0.15 + depth * 0.75) * prim.alphaScale;
+                const size  = (2 + this.complexity) * pulse * px * prim.p.perspective *
+                              (0.5 + exact * 0.9) * style.dotScale * prim.mod.sizeScale;
+                const glow  = style.glowSize * exact * pulse * px * prim.mod.glowScale;
+
+                batch.dot(prim.p.x, prim.p.y, size, prim.hue, 70, 45 + depth * 20, alpha);
+                batch.glow(prim.p.x, prim.p.y, size, glow, prim.hue, 80, 70, alpha * alpha);
+            }
+        }
+        batch.flush({ band });
+    }
+
+    // Places one celestial-sphere point in 3D, rotates it, and projects it with
+    // perspective. The polar view matches the planar styles: looking down at the
+    // north pole, so with no tilt Celestial lines up with orthographic Sacred.
+    //   spin — rotation about Z (symmetry copy + parallax), counterclockwise
+    //   tilt — cached cos/sin of the current X and Y tilt angles
+    transformCelestial(point, radiusScale, spin, tilt, scale) {
+        const r     = point.radius * radiusScale;
+        const phi   = (90 - point.latitude)   * (Math.PI / 180);
+        const theta = (point.longitude + 180) * (Math.PI / 180) + spin;
+
+        const x = r * Math.sin(phi) * Math.cos(theta);
+        const y = r * Math.sin(phi) * Math.sin(theta);
+        const z = r * Math.cos(phi);
+
+        // Tilt about X, then about Y
+        const y1 = y * tilt.cosX - z * tilt.sinX;
+        const z1 = y * tilt.sinX + z * tilt.cosX;
+        const x2 = x * tilt.cosY + z1 * tilt.sinY;
+        const z2 = -x * tilt.sinY + z1 * tilt.cosY;
+
+        // Perspective — camera sits perspectiveDistance sphere radii in front (+z).
+        // The 0.85 fit leaves headroom for near points swelling toward the camera.
+        const perspective = this.perspectiveDistance / (this.perspectiveDistance - z2);
+        const fitted      = scale * 0.85 * perspective;
+
+        return {
+            x: this.centerX + x2 * fitted,
+            y: this.centerY + y1 * fitted,
+            z: z2,
+            perspective
+        };
+    }
+
+    // Renders one frame: background, the active style's geometry, the
+    // centre anchor, and the provenance and intention overlays.
+    drawMandala(pulse) {
+        this.backend.fade(0.95);
+
+        const scale = Math.min(this.canvas.width, this.canvas.height) / 3;
+        const hue   = (this.baseHue + this.hueAngle) % 360;
+
+        // Everything style-specific for this frame, resolved once from the registry.
+        // The Primary quality tier and below keep only the first symmetry layer.
+        const style  = getMandalaStyle(this.style);
+        const layers = style.symmetryLayers(this);
+        const frame  = {
+            pulse, scale, hue, style,
+            pixelScale: this.pixelScale,
+            skip:   style.evolveSkip(this),
+            layers: this.quality.settings.secondaryLayers ? layers : layers.slice(0, 1)
+        };
+
+        // Overlays first so the main geometry sits on top
+        style.overlays.forEach(overlay => MANDALA_OVERLAYS[overlay](this, frame));
+
+        if (typeof style.geometry === 'function') {
+            style.geometry(this, frame);
+        } else if (style.geometry === 'celestial') {
+            this.drawCelestial(frame);
+        } else {
+            this.drawPlanar(frame);
+        }
+
+        // Center dot — visual anchor, same in every style
+        const px = this.pixelScale;
+        this.batch.dot(this.centerX, this.centerY, 5 * pulse * px, this.baseHue, 80, 70, 1);
+        this.batch.glow(this.centerX, this.centerY, 5 * pulse * px, 15 * pulse * px, this.baseHue, 80, 70, 1);
+        this.batch.flush({ part: 'centre' });
+
+        // Text only changes with the intention, so backends may cache it
+        this.backend.overlay('text', this.textOverlayKey(), (ctx) => this.drawTextOverlays(ctx));
+    }
+
+    // Everything the text overlay depends on
+    textOverlayKey() {
+        return [
+            this.canvas.width, this.canvas.height, this.showHash, this.fullHash, this.hashMode,
+            this.generatorVersion, this.canonicalVersion, this.caseFold, this.intentionText
+        ].join('|');
+    }
+
+    // Overlay font size in backing pixels: 1/divisor of the canvas's CSS width,
+    // at least minimum CSS pixels, then scaled to the backing store
+    overlayFontSize(divisor, minimum) {
+        const cssWidth = this.canvas.width / this.pixelScale;
+        return Math.max(minimum, Math.floor(cssWidth / divisor)) * this.pixelScale;
+    }
+
+    // MERIDIAN-HASH provenance (top right) and the intention (bottom left).
+    // Margins and line gaps are CSS pixels × pixelScale, like the fonts.
+    // Every export redraws this overlay, so a private mandala never shows its
+    // intention — the image would give away what the HMAC keeps secret.
+    drawTextOverlays(ctx) {
+        const px = this.pixelScale;
 
         // --- TOP RIGHT: Cryptographic signature ---
         if (this.showHash && this.fullHash) {
-            this.ctx.save();
-            const fontSize = Math.max(8, Math.floor(this.canvas.width / 60));
-            this.ctx.font      = `${fontSize}px monospace`;
-            this.ctx.fillStyle = 'rgba(149, 165, 166, 0.8)';
-            this.ctx.textAlign = 'right';
-            const x = this.canvas.width - 10;
-            this.ctx.fillText('MERIDIAN-HASH:', x, fontSize + 10);
-            this.ctx.fillText(this.fullHash.substring(0, 32), x, fontSize * 2 + 15);
-            this.ctx.fillText(this.fullHash.substring(32),    x, fontSize * 3 + 20);
-            this.ctx.restore();
+            ctx.save();
+            const fontSize = this.overlayFontSize(60, 8);
+            ctx.font      = `${fontSize}px monospace`;
+            ctx.fillStyle = 'rgba(149, 165, 166, 0.8)';
+            ctx.textAlign = 'right';
+            const x = this.canvas.width - 10 * px;
+            // Private mandalas are labelled so a viewer knows the hash cannot be
+            // checked against a guessed intention
+            const hashLabel = this.hashMode === 'private'
+                ? 'MERIDIAN-HASH · PRIVATE (HMAC):'
+                : 'MERIDIAN-HASH:';
+            ctx.fillText(hashLabel, x, fontSize + 10 * px);
+            ctx.fillText(this.fullHash.substring(0, 32), x, fontSize * 2 + 15 * px);
+            ctx.fillText(this.fullHash.substring(32),    x, fontSize * 3 + 20 * px);
+
+            // Provenance line — which frozen profiles produced this hash and geometry
+            const provenance = `GEN v${this.generatorVersion} · CANON v${this.canonicalVersion}` +
+                               (this.caseFold ? ' · CASEFOLD' : '');
+            ctx.fillText(provenance, x, fontSize * 4 + 25 * px);
+            ctx.restore();
         }
 
         // --- BOTTOM LEFT: Intention text ---
-        if (this.intentionText) {
-            this.ctx.save();
-            const fontSize = Math.max(9, Math.floor(this.canvas.width / 55));
-            this.ctx.font      = `${fontSize}px monospace`;
-            this.ctx.fillStyle = 'rgba(149, 165, 166, 0.85)';
-            this.ctx.textAlign = 'left';
-
-            const lineH    = fontSize + 3;
-            const padding  = 10;
+        if (this.intentionText && this.hashMode !== 'private') {
+            ctx.save();
+            const fontSize = this.overlayFontSize(55, 9);
+            ctx.font      = `${fontSize}px monospace`;
+            ctx.fillStyle = 'rgba(149, 165, 166, 0.85)';
+            ctx.textAlign = 'left';
+
+            const lineH    = fontSize + 3 * px;
+            const padding  = 10 * px;
             const maxChars = Math.floor((this.canvas.width - padding * 2) / (fontSize * 0.6));
 
             const words = this.intentionText.split(' ');
@@ -348,32 +845,155 @@ class MandalaGenerator {
 
             const totalLines = lines.length + 1;
             let y = this.canvas.height - padding - (totalLines - 1) * lineH;
-            this.ctx.fillText('INTENTION:', padding, y);
+            ctx.fillText('INTENTION:', padding, y);
             y += lineH;
             for (let line of lines) {
-                this.ctx.fillText(line, padding, y);
+                ctx.fillText(line, padding, y);
                 y += lineH;
             }
-            this.ctx.restore();
+            ctx.restore();
         }
     }
 
-    // Animation loop — counterclockwise rotation with hash-seeded breathing.
-    // this.time drives both breathing and Cosmic evolution parameters.
-    startBreathing() {
-        const rotationStep = -0.005;
-        const animate = () => {
-            this.time += this.pulseSpeed;
-            this.rotationAngle += rotationStep;
+    // ─────────────────────────────────────────────
+    // TIME-ADDRESSABLE ANIMATION
+    // ─────────────────────────────────────────────
 
-            const pulse = 1.0 +
-                Math.sin(this.time) * this.pulseAmplitude +
-                Math.sin(this.time * 1.6) * (this.pulseAmplitude * 0.2);
+    // Sets the animation clock to an absolute number of seconds since the
+    // mandala appeared. this.time (breathing + evolution phase), the rotation
+    // angle and the hue drift are pure functions of elapsed seconds, so any
+    // frame can be reproduced exactly — independent of display refresh rate.
+    setClock(seconds) {
+        this.elapsed       = seconds;
+        this.time          = seconds * this.pulseSpeed * REFERENCE_FPS;
+        this.rotationAngle = seconds * ROTATION_PER_SECOND;
+        this.hueAngle      = this.time * HUE_DRIFT;
+    }
+
+    // Breathing scale at the current clock — two sines for an organic rhythm
+    currentPulse() {
+        return 1.0 +
+            Math.sin(this.time) * this.pulseAmplitude +
+            Math.sin(this.time * 1.6) * (this.pulseAmplitude * 0.2);
+    }
 
-            this.drawMandala(pulse);
+    // Deterministically draws the exact frame for a timestamp in seconds.
+    // Used by the live loop and by anything that needs a specific frame (exports).
+    renderAt(seconds) {
+        this.setClock(seconds);
+        this.drawMandala(this.currentPulse());
+    }
+
+    // Draws a frame from the three motions set separately rather than from one
+    // clock. Loop exports (animation-export.js) advance each by whole cycles.
+    renderPhases(time, rotationAngle, hueAngle) {
+        this.time          = time;
+        this.rotationAngle = rotationAngle;
+        this.hueAngle      = hueAngle;
+        this.drawMandala(this.currentPulse());
+    }
+
+    // One seamless loop of the current mandala, or null when the style has
+    // motion that never repeats exactly (see `loops` in mandala-styles.js).
+    //
+    // Rotation: ring r of a planar style turns at PARALLAX_BASE × (d + k·r) / d
+    // times the master angle (d = numRings - 1, k = SPREAD / BASE) and looks the
+    // same after 2π / symmetry, so every ring is back in place once the master
+    // angle reaches 2π·d / (BASE × symmetry × g), g = gcd of the (d + k·r).
+    //
+    // The pulse and hue drift can't line up with that exactly, so each is
+    // advanced by a whole number of cycles — at least one — and plays a little
+    // fast or slow to fit. The loop is the shortest whole number of rotation
+    // loops, up to maxSeconds, over which both stay within LOOP_SPEED_TOLERANCE
+    // of their live speed; failing that, the multiple that comes closest. A
+    // rotation loop longer than maxSeconds is still used once.
+    //
+    // Returns { seconds, time, rotation, hue }: the loop length and how far
+    // each motion advances over it.
+    seamlessLoop(maxSeconds = 0) {
+        const style = getMandalaStyle(this.style);
+        if (!this.spec || !style.loops || style.geometry !== 'planar') return null;
+
+        const gcd    = (a, b) => b ? gcd(b, a % b) : a;
+        const d      = Math.max(1, this.numRings - 1);
+        const k      = Math.round(PARALLAX_SPREAD / PARALLAX_BASE);
+        let   common = d;
+        for (let ring = 1; ring < this.numRings; ring++) {
+            common = gcd(common, d + k * ring);
+        }
+        const angle     = 2 * Math.PI * d / (PARALLAX_BASE * this.primarySymmetry * common);
+        const rotations = Math.max(1, Math.floor(maxSeconds * Math.abs(ROTATION_PER_SECOND) / angle));
+        const hueCycle  = 360 / HUE_DRIFT;
+
+        // How far from live speed a motion plays when whole cycles of `period`
+        // fill `naturalTime`, as |log| of the speed ratio
+        const misfit = (naturalTime, period) => {
+            const cycles = Math.max(1, Math.round(naturalTime / period));
+            return { cycles, error: Math.abs(Math.log(cycles * period / naturalTime)) };
+        };
+
+        let best = null;
+        for (let turns = 1; turns <= rotations; turns++) {
+            const seconds     = turns * angle / Math.abs(ROTATION_PER_SECOND);
+            const naturalTime = seconds * this.pulseSpeed * REFERENCE_FPS;
+            const pulse       = misfit(naturalTime, PULSE_PERIOD);
+            const hue         = misfit(naturalTime, hueCycle);
+            const error       = Math.max(pulse.error, hue.error);
+
+            // A multiple of an earlier loop fits exactly as well; keep the shorter
+            if (!best || error < best.error - 1e-9) {
+                best = {
+                    error,
+                    loop: {
+                        seconds,
+                        time:     pulse.cycles * PULSE_PERIOD,
+                        rotation: turns * angle * Math.sign(ROTATION_PER_SECOND),
+                        hue:      hue.cycles * 360
+                    }
+                };
+            }
+            if (error <= Math.log(1 + LOOP_SPEED_TOLERANCE)) break;
+        }
+        return best.loop;
+    }
+
+    // Animation loop — counterclockwise rotation with hash-seeded breathing.
+    // Driven by real elapsed time, not frame count: a 120 Hz display breathes
+    // at the same pace as a 60 Hz one, and a tab returning from the background
+    // resumes where wall-clock time says it should be rather than where it froze.
+    // Resumes from the current clock if the loop was stopped and restarted.
+    // Each frame's draw time feeds the quality governor.
+    startBreathing() {
+        this.stopBreathing();
+        const origin  = performance.now() - this.elapsed * 1000;
+        const animate = (now) => {
+            const drawStart = performance.now();
+            this.renderAt((now - origin) / 1000);
+            if (this.quality.sample(now, performance.now() - drawStart)) {
+                this.applyQuality();
+            }
+            if (this.showHud) this.drawHud();
             this.animationFrame = requestAnimationFrame(animate);
         };
-        animate();
+        animate(performance.now());
+    }
+
+    // FPS and quality tier, top left. Live loop only — never part of renderAt()
+    drawHud() {
+        const px       = this.pixelScale;
+        const fontSize = this.overlayFontSize(60, 8);
+        const tier     = this.quality.settings;
+        const fps      = this.quality.fps ? Math.round(this.quality.fps) : '--';
+        const status   = `TIER ${this.quality.tier} ${tier.label.toUpperCase()}` +
+                         (this.quality.pinned ? ' (PINNED)' : '');
+
+        this.backend.overlay('hud', `${this.canvas.width}|${fps}|${status}`, (ctx) => {
+            ctx.font      = `${fontSize}px monospace`;
+            ctx.fillStyle = 'rgba(243, 156, 18, 0.8)';
+            ctx.textAlign = 'left';
+            ctx.fillText(`${fps} FPS`, 10 * px, fontSize + 10 * px);
+            ctx.fillText(status, 10 * px, fontSize * 2 + 15 * px);
+        });
     }
 
     stopBreathing() {
@@ -384,36 +1004,60 @@ class MandalaGenerator {
     }
 
     // Spiral dissolve at meditation session end.
+    // Time-driven like the breathing loop: the collapse follows elapsed time,
+    // and the trail fade is scaled per frame so trails are the same length
+    // at any refresh rate.
     spiralDissolve(duration) {
         this.stopBreathing();
-        const steps    = 60;
-        const interval = duration / steps;
-        let   step     = 0;
-
-        const dissolve = setInterval(() => {
-            step++;
-            const scale = Math.max(0.001, 1 - (step / steps));
-            this.rotationAngle -= step * 0.01;
-
-            this.ctx.fillStyle = 'rgba(0, 0, 0, 0.12)';
-            this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
-
-            this.ctx.save();
-            this.ctx.translate(this.centerX, this.centerY);
-            this.ctx.scale(scale, scale);
-            this.ctx.translate(-this.centerX, -this.centerY);
-            this.drawMandala(scale);
-            this.ctx.restore();
-
-            if (step >= steps) {
-                clearInterval(dissolve);
-                this.ctx.fillStyle = 'rgba(0, 0, 0, 1)';
-                this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+        const startRotation = this.rotationAngle;
+        const start         = performance.now();
+        let   last          = start;
+
+        const dissolve = (now) => {
+            const progress = Math.min(1, (now - start) / duration);
+            const fade     = this.dissolveFade(now - last, duration);
+            last = now;
+
+            this.drawDissolveFrame(progress, startRotation, fade);
+
+            if (progress < 1) {
+                this.animationFrame = requestAnimationFrame(dissolve);
+            } else {
+                this.animationFrame = null;
+                this.backend.fade(1);
             }
-        }, interval);
+        };
+        this.animationFrame = requestAnimationFrame(dissolve);
+    }
+
+    // Trail fade alpha for a frame lasting frameMs. The dissolve was tuned as
+    // DISSOLVE_STEPS discrete steps each fading 12% — this applies the same
+    // fade per unit time however many frames actually land in it.
+    dissolveFade(frameMs, duration) {
+        const stepMs = duration / DISSOLVE_STEPS;
+        return 1 - Math.pow(1 - 0.12, Math.max(0, frameMs) / stepMs);
+    }
+
+    // Draws one dissolve frame at progress 0-1. The mandala shrinks toward the
+    // centre while the spin accelerates — rotation follows the original stepped
+    // schedule (0.01 × step, accumulated) evaluated at a continuous step count.
+    // Only the geometry is a function of progress and startRotation: the trail
+    // is the earlier frames fading by `fade`, so unlike renderAt() one call
+    // does not reproduce a moment of the dissolve on its own.
+    drawDissolveFrame(progress, startRotation, fade) {
+        const step  = progress * DISSOLVE_STEPS;
+        const scale = Math.max(0.001, 1 - progress);
+        this.rotationAngle = startRotation - 0.01 * step * (step + 1) / 2;
+
+        this.backend.fade(fade);
+        this.backend.withZoom(scale, () => this.drawMandala(scale));
     }
 
     getCurrentFrame() {
-        return this.ctx.getImageData(0, 0, this.canvas.width, this.canvas.height);
+        return this.backend.getImageData();
     }
 }
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { MandalaGenerator };
+}
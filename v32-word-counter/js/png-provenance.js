@@ -0,0 +1,273 @@
+// png-provenance.js - MERIDIAN-HASH provenance embedded in exported PNGs
+//
+// The hash drawn in the corner of a mandala is only pixels. Every PNG export
+// (print-size PNG and APNG loop) also carries the record as iTXt text chunks,
+// readable by any PNG tool (exiftool, pngcheck, an image viewer's info panel):
+//
+//   MERIDIAN-HASH       the full 64-character hash
+//   Intention           canonical intention — optional, never for private mandalas
+//   Generator Version   geometry version the mandala was drawn with
+//   Canonical Version,
+//   Case Fold,
+//   Hash Mode           how the intention was canonicalized and hashed
+//   Style, Projection   how it was being viewed (Projection only when overridden)
+//   Tuning              tuning profile the soundscape was playing in
+//   Creation Time       ISO 8601 time of the export
+//   Software,
+//   App Version         The Intention Keeper and its release
+//
+// verifyPngFile() re-hashes the embedded intention the recorded way and
+// compares the result with the recorded hash. A match shows the record is
+// consistent — this intention really makes this hash — and gives everything
+// needed to redraw the mandala live. It can't show the pixels are untouched:
+// anyone can copy the chunks onto another image, so the redrawn mandala is
+// the thing to compare against. Chunks whose checksum fails are reported.
+
+if (typeof module !== 'undefined' && module.exports) {
+    Object.assign(globalThis,
+        require('./hash-encoder.js'),
+        require('./generator-profiles.js'),
+        require('./apng-encoder.js'));
+}
+
+// Release written into every export — keep in step with README.md
+const APP_VERSION = '3.2';
+
+const PROVENANCE_SOFTWARE = 'The Intention Keeper';
+
+// Record field → PNG text keyword
+const PROVENANCE_KEYWORDS = {
+    hash:             'MERIDIAN-HASH',
+    intention:        'Intention',
+    generatorVersion: 'Generator Version',
+    canonicalVersion: 'Canonical Version',
+    caseFold:         'Case Fold',
+    mode:             'Hash Mode',
+    style:            'Style',
+    projection:       'Projection',
+    tuning:           'Tuning',
+    created:          'Creation Time',
+    software:         'Software',
+    appVersion:       'App Version'
+};
+
+// Record fields stored as something other than text
+const PROVENANCE_PARSERS = {
+    generatorVersion: Number,
+    canonicalVersion: Number,
+    caseFold:         (text) => text === 'true'
+};
+
+// The provenance record of the mandala a renderer (MandalaGenerator or
+// MandalaWorkerProxy) is showing. options.includeIntention = false leaves the
+// canonical intention out; private mandalas never include it — keeping the
+// text unlinkable from the hash is what private mode is for.
+// options.tuning names the tuning profile the soundscape is playing in.
+function mandalaProvenance(renderer, options = {}) {
+    const provenance = renderer.getProvenance();
+    if (!provenance.hash) {
+        throw new Error('No mandala to export — generate one first');
+    }
+    const state    = renderer.frameState();
+    const withText = options.includeIntention !== false && provenance.mode !== 'private';
+
+    return {
+        hash:             provenance.hash,
+        intention:        withText ? provenance.canonicalText : null,
+        generatorVersion: provenance.generatorVersion,
+        canonicalVersion: provenance.canonicalVersion,
+        caseFold:         provenance.caseFold,
+        mode:             provenance.mode,
+        style:            state.style,
+        projection:       state.projection,
+        tuning:           options.tuning || null,
+        created:          (options.created || new Date()).toISOString(),
+        software:         PROVENANCE_SOFTWARE,
+        appVersion:       APP_VERSION
+    };
+}
+
+// iTXt chunk holding UTF-8 text, uncompressed, with no language tag
+function pngTextChunk(keyword, text) {
+    const encoder = new TextEncoder();
+    const key     = encoder.encode(keyword);
+    const body    = encoder.encode(text);
+
+    // keyword, NUL, compression flag, compression method, language NUL, translated keyword NUL
+    const data = new Uint8Array(key.length + 5 + body.length);
+    data.set(key, 0);
+    data.set(body, key.length + 5);
+    return pngChunk('iTXt', data);
+}
+
+// The chunks of a PNG: [{ type, data, intact }], intact false on a CRC mismatch
+function readPngChunks(bytes) {
+    if (bytes.length < 8 || PNG_SIGNATURE.some((value, i) => bytes[i] !== value)) {
+        throw new Error('Not a PNG file');
+    }
+    const view   = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const chunks = [];
+    let at = 8;
+    while (at < bytes.length) {
+        if (at + 12 > bytes.length) throw new Error('The PNG file is truncated');
+        const length = view.getUint32(at);
+        if (at + 12 + length > bytes.length) throw new Error('The PNG file is truncated');
+
+        const type = String.fromCharCode(...bytes.subarray(at + 4, at + 8));
+        const crc  = (crc32(bytes.subarray(at + 4, at + 8 + length)) ^ 0xffffffff) >>> 0;
+        chunks.push({
+            type,
+            data:   bytes.subarray(at + 8, at + 8 + length),
+            intact: crc === view.getUint32(at + 8 + length)
+        });
+        at += 12 + length;
+        if (type === 'IEND') break;
+    }
+    return chunks;
+}
+
+// { keyword, text } of a tEXt or iTXt chunk, or null if it can't be read
+// (compressed iTXt — these exports never compress theirs)
+function parsePngText(chunk) {
+    const nul = chunk.data.indexOf(0);
+    if (nul < 1) return null;
+    const keyword = new TextDecoder('latin1').decode(chunk.data.subarray(0, nul));
+
+    if (chunk.type === 'tEXt') {
+        return { keyword, text: new TextDecoder('latin1').decode(chunk.data.subarray(nul + 1)) };
+    }
+    if (chunk.data[nul + 1] !== 0) return null;
+    const language   = chunk.data.indexOf(0, nul + 3);
+    const translated = language < 0 ? -1 : chunk.data.indexOf(0, language + 1);
+    if (translated < 0) return null;
+    return { keyword, text: new TextDecoder('utf-8').decode(chunk.data.subarray(translated + 1)) };
+}
+
+// Reads the provenance record of a PNG's bytes. Returns { record, damaged }:
+// record has the fields found (null if there is no MERIDIAN-HASH at all), and
+// damaged names the text chunks that failed their checksum or appear twice.
+function readPngProvenance(bytes) {
+    const fieldOf = {};
+    Object.keys(PROVENANCE_KEYWORDS).forEach(field => { fieldOf[PROVENANCE_KEYWORDS[field]] = field; });
+
+    const record  = {};
+    const damaged = [];
+    for (const chunk of readPngChunks(bytes)) {
+        if (chunk.type !== 'iTXt' && chunk.type !== 'tEXt') continue;
+        const entry = parsePngText(chunk);
+        const field = entry && fieldOf[entry.keyword];
+        if (!chunk.intact) {
+            damaged.push(entry ? entry.keyword : chunk.type);
+            continue;
+        }
+        if (!field) continue;
+        if (field in record) {
+            damaged.push(entry.keyword);
+            continue;
+        }
+        const parse = PROVENANCE_PARSERS[field];
+        record[field] = parse ? parse(entry.text) : entry.text;
+    }
+    return { record: record.hash ? record : null, damaged };
+}
+
+// PNG bytes with a provenance record added as text chunks after IHDR
+function embedPngProvenance(bytes, record) {
+    const chunks = readPngChunks(bytes);
+    if (!chunks.length || chunks[0].type !== 'IHDR') {
+        throw new Error('PNG file does not start with IHDR');
+    }
+    const text = Object.keys(PROVENANCE_KEYWORDS)
+        .filter(field => record[field] != null && record[field] !== '')
+        .map(field => pngTextChunk(PROVENANCE_KEYWORDS[field], String(record[field])));
+
+    const headerEnd = 8 + 12 + chunks[0].data.length;
+    const added     = text.reduce((sum, chunk) => sum + chunk.length, 0);
+    const out       = new Uint8Array(bytes.length + added);
+    out.set(bytes.subarray(0, headerEnd), 0);
+    let at = headerEnd;
+    for (const chunk of text) {
+        out.set(chunk, at);
+        at += chunk.length;
+    }
+    out.set(bytes.subarray(headerEnd), at);
+    return out;
+}
+
+// Blob version of embedPngProvenance() for the export buttons
+async function addPngProvenance(blob, record) {
+    const bytes = new Uint8Array(await blob.arrayBuffer());
+    return new Blob([embedPngProvenance(bytes, record)], { type: blob.type });
+}
+
+// Checks a PNG's provenance.
+// Resolves to { status, message, record, options }, status one of:
+//   'verified'     the embedded intention re-hashes to the recorded hash
+//   'mismatch'     it doesn't — the record was edited
+//   'damaged'      provenance chunks failed their checksum or were duplicated
+//   'unverifiable' valid record but nothing to re-hash: the intention was left
+//                  out, as it always is for a private mandala
+//   'invalid'      the record names versions this app doesn't know, or a malformed hash
+//   'missing'      no MERIDIAN-HASH in the file
+// options is what MandalaGenerator.generate() needs to reproduce the mandala;
+// a private one also needs its passphrase, which the file never holds.
+async function verifyPngFile(bytes) {
+    const { record, damaged } = readPngProvenance(bytes);
+
+    let reproduceOptions = null;
+    const result = (status, message) => ({ status, message, record, options: reproduceOptions });
+
+    if (damaged.length) {
+        return result('damaged', `Provenance chunks are corrupted or tampered with: ${damaged.join(', ')}`);
+    }
+    if (!record) {
+        return result('missing', 'This PNG has no MERIDIAN-HASH provenance');
+    }
+    if (!/^[0-9a-f]{64}$/.test(record.hash)) {
+        return result('invalid', 'The recorded MERIDIAN-HASH is malformed');
+    }
+    if (!GENERATOR_PROFILES[record.generatorVersion]) {
+        return result('invalid', `Unknown generator version ${record.generatorVersion}`);
+    }
+
+    reproduceOptions = {
+        generatorVersion: record.generatorVersion,
+        canonicalVersion: record.canonicalVersion,
+        caseFold:         Boolean(record.caseFold),
+        mode:             record.mode === 'private' ? 'private' : 'public'
+    };
+
+    // mandalaProvenance() never embeds a private intention, and one found in
+    // a file could only have been added by hand — there is nothing to re-hash
+    if (reproduceOptions.mode === 'private') {
+        return result('unverifiable', 'This is a private mandala — its intention is never embedded, so the hash cannot be re-checked from the file');
+    }
+    if (record.intention == null) {
+        return result('unverifiable', 'The intention was not embedded, so the hash cannot be re-checked');
+    }
+
+    let hashed;
+    try {
+        hashed = await hashIntention(record.intention, reproduceOptions);
+    } catch (e) {
+        return result('invalid', e.message);
+    }
+    if (hashed.hash !== record.hash) {
+        return result('mismatch', 'The intention does not hash to the recorded MERIDIAN-HASH — the record was altered');
+    }
+    return result('verified', 'The embedded intention reproduces the recorded MERIDIAN-HASH');
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        APP_VERSION,
+        PROVENANCE_KEYWORDS,
+        mandalaProvenance,
+        pngTextChunk,
+        readPngChunks,
+        readPngProvenance,
+        embedPngProvenance,
+        addPngProvenance,
+        verifyPngFile
+    };
+}
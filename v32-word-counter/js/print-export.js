@@ -0,0 +1,87 @@
+// print-export.js - Print-size PNG export for the Intention Keeper
+//
+// Upscaling the live canvas gives a blurry print. Instead the current frame is
+// redrawn on an off-screen Canvas 2D of the requested size: a fresh
+// MandalaGenerator gets the live renderer's frameState() and a pixel ratio
+// large enough that the page's short side matches the 600px live canvas.
+// Because every size in the renderer scales with pixelScale, dots, glows,
+// stroke widths and the MERIDIAN-HASH and intention text come out exactly as
+// on screen, only sharper. Pages that aren't square keep the mandala centred
+// with the text in the page corners.
+//
+// Canvas 2D is used even where the screen draws with WebGL2 — GPUs cap texture
+// sizes well below a 300 dpi page on many devices.
+
+if (typeof module !== 'undefined' && module.exports) {
+    Object.assign(globalThis, require('./mandala.js'));
+}
+
+// CSS size of the live canvas the design is drawn for
+const PRINT_REFERENCE_SIZE = 600;
+
+// Offered in the download picker. Any { width, height } in pixels also works.
+const PRINT_SIZES = [
+    { name: 'square-4096', label: '4096 × 4096 px',              width: 4096, height: 4096 },
+    { name: 'a3-300',      label: 'A3 · 300 dpi (portrait)',     width: 3508, height: 4961 },
+    { name: 'letter-300',  label: 'Letter · 300 dpi (portrait)', width: 2550, height: 3300 }
+];
+
+// A new width × height Canvas 2D and a MandalaGenerator drawing a frameState()
+// on it at matching scale. Returns { canvas, generator }; nothing is drawn yet.
+// Also used for the frames of animated exports (animation-export.js).
+function createExportGenerator(state, width, height) {
+    if (!state.spec) {
+        throw new Error('No mandala to export — generate one first');
+    }
+    if (!(width > 0 && height > 0)) {
+        throw new Error(`Invalid export size ${width} × ${height}`);
+    }
+
+    const canvas = createScratchCanvas(width, height);
+    // Browsers refuse canvases over their area limit (about 16.7 megapixels on iOS)
+    if (!canvas.getContext('2d')) {
+        throw new Error(`This browser cannot draw a ${width} × ${height} image. Try a smaller size.`);
+    }
+
+    const pixelRatio = Math.min(width, height) / PRINT_REFERENCE_SIZE;
+    const generator  = new MandalaGenerator(canvas, {
+        backend:  '2d',
+        pixelRatio,
+        pageSize: { width: width / pixelRatio, height: height / pixelRatio }
+    });
+    generator.applyFrameState(state);
+    return { canvas, generator };
+}
+
+// Redraws the frame a renderer (MandalaGenerator or MandalaWorkerProxy) is
+// showing on a new width × height canvas and returns that canvas
+function renderPrintCanvas(renderer, width, height) {
+    const state = renderer.frameState();
+    const { canvas, generator } = createExportGenerator(state, width, height);
+
+    // The live canvas darkens to black over many frames; a single frame starts there
+    generator.backend.fade(1);
+    generator.renderAt(state.seconds);
+    return canvas;
+}
+
+// PNG Blob of the current frame at a PRINT_SIZES entry or any { width, height }
+function exportMandalaPng(renderer, size) {
+    const canvas = renderPrintCanvas(renderer, size.width, size.height);
+    if (typeof canvas.convertToBlob === 'function') {
+        return canvas.convertToBlob({ type: 'image/png' });
+    }
+    return new Promise((resolve, reject) => {
+        canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error('PNG encoding failed')), 'image/png');
+    });
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        PRINT_REFERENCE_SIZE,
+        PRINT_SIZES,
+        createExportGenerator,
+        renderPrintCanvas,
+        exportMandalaPng
+    };
+}
@@ -0,0 +1,123 @@
+// projections.js - Sphere-to-plane projections for the Intention Keeper
+//
+// Every mandala point lives on the navigator's celestial sphere as
+// (longitude, latitude, radius). A projection flattens that sphere onto the
+// canvas. Azimuthal projections are centred on the north pole, so the polar
+// angle becomes distance from the mandala's centre and longitude becomes the
+// angle around it — which keeps the radial, mandala-like structure.
+//
+// Each projection maps to a normalized distance where the equator sits at 1.
+// Projections that grow without bound toward the south pole (stereographic,
+// gnomonic) or simply reach further than orthographic (Lambert, equidistant)
+// are soft-clipped past the equator so the mandala still fits the canvas.
+//
+// Generator profiles 1 and 2 always used orthographic. From profile 3 the
+// projection is hash-seeded, and the user can override it from the controls.
+
+// Projected distances past the equator are compressed smoothly toward this limit
+const PROJECTION_CLIP_LIMIT = 1.25;
+
+// Identity up to the equator (ρ = 1), then a tanh knee that approaches
+// PROJECTION_CLIP_LIMIT with matching slope at the join — no visible seam.
+function softClipRadius(rho) {
+    if (rho <= 1) return rho;
+    const headroom = PROJECTION_CLIP_LIMIT - 1;
+    return 1 + headroom * Math.tanh((rho - 1) / headroom);
+}
+
+// Azimuthal projections share everything except how the polar angle φ
+// (0 at the north pole, π at the south pole) becomes a distance.
+function azimuthal(distanceFn, clip) {
+    return (phi, theta) => {
+        const rho = distanceFn(phi);
+        const r   = clip ? softClipRadius(rho) : rho;
+        return { x: r * Math.cos(theta), y: r * Math.sin(theta) };
+    };
+}
+
+const PROJECTIONS = {
+    // Parallel view of the sphere from above the pole. Both hemispheres overlap,
+    // preserving the circular mandala appearance. Unclipped — this is the
+    // original projection and must stay bit-identical for saved intentions.
+    orthographic: {
+        label:   'Orthographic',
+        project: azimuthal((phi) => Math.sin(phi), false)
+    },
+
+    // Conformal — preserves angles, so small shapes keep their form.
+    // Grows to infinity at the south pole; tan(φ/2) puts the equator at 1.
+    stereographic: {
+        label:   'Stereographic',
+        project: azimuthal((phi) => Math.tan(Math.min(phi, Math.PI * 0.999) / 2), true)
+    },
+
+    // Lambert azimuthal equal-area — preserves area. Bounded at √2 (south pole).
+    lambert: {
+        label:   'Lambert Equal-Area',
+        project: azimuthal((phi) => Math.SQRT2 * Math.sin(phi / 2), true)
+    },
+
+    // Gnomonic — great circles become straight lines. Only a hemisphere fits,
+    // so southern points are sent through the centre to their antipode,
+    // exactly where the line through the sphere's centre meets the plane.
+    gnomonic: {
+        label:   'Gnomonic',
+        project: (phi, theta) => {
+            if (phi > Math.PI / 2) {
+                phi    = Math.PI - phi;
+                theta += Math.PI;
+            }
+            const r = softClipRadius(Math.tan(Math.min(phi, Math.PI * 0.499)));
+            return { x: r * Math.cos(theta), y: r * Math.sin(theta) };
+        }
+    },
+
+    // Azimuthal equidistant — distance from the centre is true arc length.
+    // The navigator's polar chart. Equator at 1, south pole at 2.
+    equidistant: {
+        label:   'Azimuthal Equidistant',
+        project: azimuthal((phi) => phi / (Math.PI / 2), true)
+    },
+
+    // Cylindrical (equirectangular) — longitude across, latitude down.
+    // Not azimuthal: the symmetry copies turn its rectangle into a woven lattice.
+    // Scaled so the rectangle's corners (√2 from centre) stay inside the clip limit.
+    cylindrical: {
+        label:   'Cylindrical',
+        project: (phi, theta) => {
+            const fit   = PROJECTION_CLIP_LIMIT / Math.SQRT2;
+            const turns = theta / Math.PI; // wrapped into [-1, 1) below
+            return {
+                x: (turns - 2 * Math.floor(turns / 2) - 1) * fit,
+                y: (phi / (Math.PI / 2) - 1) * fit
+            };
+        }
+    }
+};
+
+// Display order for the projection picker. Generator profiles keep their own
+// frozen copy of the table they seed from, so this list is free to grow.
+const PROJECTION_NAMES = ['orthographic', 'stereographic', 'lambert', 'gnomonic', 'equidistant', 'cylindrical'];
+
+// Projects one spherical point to canvas offsets from the mandala centre.
+// Unknown names fall back to orthographic.
+function projectSpherical(projectionName, lon, lat, radius, scale) {
+    const projection = PROJECTIONS[projectionName] || PROJECTIONS.orthographic;
+    const phi   = (90 - lat)  * (Math.PI / 180); // polar angle from north pole
+    const theta = (lon + 180) * (Math.PI / 180); // azimuthal angle
+    const unit  = projection.project(phi, theta);
+    return {
+        x: unit.x * scale * radius,
+        y: unit.y * scale * radius
+    };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        PROJECTION_CLIP_LIMIT,
+        PROJECTIONS,
+        PROJECTION_NAMES,
+        projectSpherical,
+        softClipRadius
+    };
+}
@@ -0,0 +1,136 @@
+// quality-governor.js - Adaptive rendering quality for the Intention Keeper
+//
+// Sessions run for up to 2h59m, often on phones. The governor watches how long
+// each live frame takes to draw and steps down through cumulative quality tiers
+// when the device cannot keep up, then steps back up once there is headroom:
+//
+//   0 Full        — everything
+//   1 No Glow     — glow sprites and connection halos off
+//   2 Lean        — Lissajous overlay drawn with fewer steps
+//   3 Primary     — secondary symmetry layers (Cosmic's interference copies) off
+//   4 Low-Res     — canvas drawn at a lower internal resolution and scaled up
+//
+// Geometry never changes between tiers — only how much of it is drawn and how
+// finely. The user can pin a tier, which switches the governor off.
+
+const QUALITY_TIERS = [
+    { name: 'full',    label: 'Full',    glow: true,  lissajousSteps: 200, secondaryLayers: true,  resolution: 1   },
+    { name: 'no-glow', label: 'No Glow', glow: false, lissajousSteps: 200, secondaryLayers: true,  resolution: 1   },
+    { name: 'lean',    label: 'Lean',    glow: false, lissajousSteps: 80,  secondaryLayers: true,  resolution: 1   },
+    { name: 'primary', label: 'Primary', glow: false, lissajousSteps: 80,  secondaryLayers: false, resolution: 1   },
+    { name: 'low-res', label: 'Low-Res', glow: false, lissajousSteps: 80,  secondaryLayers: false, resolution: 0.6 }
+];
+
+// Frames per measurement window — about a second at 60 Hz
+const QUALITY_WINDOW_FRAMES = 60;
+
+// Draw time budget per frame. Leaves room for compositing and audio inside a 60 Hz frame.
+const QUALITY_BUDGET_MS = 12;
+
+// Consecutive comfortable windows (draw time under 40% of budget, almost no
+// dropped frames) needed before stepping back up — slow to recover so tiers don't flap
+const QUALITY_RECOVERY_WINDOWS = 5;
+
+// Frame gaps longer than this are a backgrounded tab or a pause, not slowness
+const QUALITY_MAX_INTERVAL_MS = 250;
+
+class QualityGovernor {
+    constructor() {
+        this.autoTier        = 0;
+        this.pinnedTier      = null;
+        this.fps             = 0;
+        this.bestInterval    = Infinity;
+        this.comfortableRuns = 0;
+        this.reset();
+    }
+
+    // Starts a fresh measurement window (after a tier change or a pause)
+    reset() {
+        this.lastFrame     = null;
+        this.frames        = 0;
+        this.workTotal     = 0;
+        this.intervalTotal = 0;
+        this.droppedFrames = 0;
+    }
+
+    // Active tier index — the pinned one if set, otherwise the governor's choice
+    get tier() {
+        return this.pinnedTier == null ? this.autoTier : this.pinnedTier;
+    }
+
+    get settings() {
+        return QUALITY_TIERS[this.tier];
+    }
+
+    get pinned() {
+        return this.pinnedTier != null;
+    }
+
+    // Pins a tier index, or null to return to automatic.
+    // Returns true if the active tier changed.
+    pin(tier) {
+        if (tier != null && !QUALITY_TIERS[tier]) {
+            throw new Error(`Unknown quality tier ${tier}`);
+        }
+        const before = this.tier;
+        this.pinnedTier      = tier == null ? null : tier;
+        this.comfortableRuns = 0;
+        this.reset();
+        return this.tier !== before;
+    }
+
+    // Records one live frame: its requestAnimationFrame timestamp and how long
+    // drawing it took. Returns true when the active tier changed.
+    sample(timestamp, workMs) {
+        const interval = this.lastFrame == null ? null : timestamp - this.lastFrame;
+        this.lastFrame = timestamp;
+        if (interval == null) return false;
+        if (interval > QUALITY_MAX_INTERVAL_MS) {
+            this.reset();
+            this.lastFrame = timestamp;
+            return false;
+        }
+
+        this.frames++;
+        this.workTotal     += workMs;
+        this.intervalTotal += interval;
+        // Best interval seen tells us the display's refresh; well past it is a dropped frame
+        this.bestInterval   = Math.min(this.bestInterval, interval);
+        if (interval > this.bestInterval * 1.5) this.droppedFrames++;
+
+        if (this.frames < QUALITY_WINDOW_FRAMES) return false;
+
+        const avgWork     = this.workTotal / this.frames;
+        const struggling  = avgWork > QUALITY_BUDGET_MS ||
+                            this.droppedFrames > this.frames * 0.25;
+        const comfortable = avgWork < QUALITY_BUDGET_MS * 0.4 &&
+                            this.droppedFrames <= this.frames * 0.05;
+
+        this.fps = 1000 / (this.intervalTotal / this.frames);
+        this.reset();
+        this.lastFrame = timestamp;
+
+        if (this.pinned) return false;
+
+        if (struggling && this.autoTier < QUALITY_TIERS.length - 1) {
+            this.autoTier++;
+            this.comfortableRuns = 0;
+            return true;
+        }
+
+        this.comfortableRuns = comfortable ? this.comfortableRuns + 1 : 0;
+        if (this.comfortableRuns >= QUALITY_RECOVERY_WINDOWS && this.autoTier > 0) {
+            this.autoTier--;
+            this.comfortableRuns = 0;
+            return true;
+        }
+        return false;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        QUALITY_TIERS,
+        QualityGovernor
+    };
+}
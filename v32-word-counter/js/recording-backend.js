@@ -0,0 +1,202 @@
+// recording-backend.js - Display-list render backend for the Intention Keeper
+//
+// A render backend (see render-batch.js) that draws nothing. Every primitive
+// MandalaGenerator emits — dots, glows, quadratic curves, halos, lines, fades,
+// zooms and overlay text — is appended to a display list of plain objects
+// with their colours and alphas, ready for JSON.stringify().
+//
+// Because the real backends draw exactly what the batch receives, the display
+// list for an intention at a timestamp pins down the frame. Recording one in
+// Node and comparing it with a saved copy catches unintended visual changes
+// when geometry code is edited:
+//
+//   const { recordMandalaFrame } = require('./js/recording-backend.js');
+//   const list = await recordMandalaFrame('I am peace', 12.5, { style: 'cosmic' });
+//   fs.writeFileSync('peace-cosmic-12.5.json', JSON.stringify(list, null, 1));
+//
+// Numbers are rounded to DISPLAY_LIST_PRECISION decimals so snapshots don't
+// churn on floating-point noise between machines.
+
+// Node has no shared script scope — MandalaGenerator is a class binding in the
+// browser, so under Node it is installed as a global rather than re-declared.
+if (typeof module !== 'undefined' && module.exports) {
+    Object.assign(globalThis, require('./mandala.js'));
+}
+
+// Decimal places kept in recorded numbers
+const DISPLAY_LIST_PRECISION = 3;
+
+// Rounds every number in a recorded value (arrays and plain objects included)
+function roundRecorded(value) {
+    if (typeof value === 'number') {
+        const rounded = Number(value.toFixed(DISPLAY_LIST_PRECISION));
+        return rounded === 0 ? 0 : rounded; // no "-0" in snapshots
+    }
+    if (Array.isArray(value)) return value.map(roundRecorded);
+    if (value && typeof value === 'object') {
+        const out = {};
+        for (const key of Object.keys(value)) out[key] = roundRecorded(value[key]);
+        return out;
+    }
+    return value;
+}
+
+function recordedColor(hue, saturation, lightness, alpha) {
+    return { h: hue, s: saturation, l: lightness, a: alpha };
+}
+
+// Same interface as RenderBatch; each call becomes one display-list entry
+class RecordingBatch {
+    constructor(backend) {
+        this.backend     = backend;
+        this.glowEnabled = true;
+    }
+
+    dot(x, y, radius, hue, saturation, lightness, alpha) {
+        this.backend.record({ op: 'dot', x, y, radius, color: recordedColor(hue, saturation, lightness, alpha) });
+    }
+
+    glow(x, y, radius, blur, hue, saturation, lightness, alpha) {
+        if (!this.glowEnabled || blur <= 0 || alpha <= 0) return;
+        this.backend.record({ op: 'glow', x, y, radius, blur, color: recordedColor(hue, saturation, lightness, alpha) });
+    }
+
+    curve(x0, y0, cpX, cpY, x1, y1, hue, saturation, lightness, alpha, width) {
+        this.backend.record({
+            op: 'curve', from: [x0, y0], control: [cpX, cpY], to: [x1, y1], width,
+            color: recordedColor(hue, saturation, lightness, alpha)
+        });
+    }
+
+    curveHalo(x0, y0, cpX, cpY, x1, y1, blur, hue, saturation, lightness, alpha) {
+        if (!this.glowEnabled || blur <= 0 || alpha <= 0) return;
+        this.backend.record({
+            op: 'curveHalo', from: [x0, y0], control: [cpX, cpY], to: [x1, y1], blur,
+            color: recordedColor(hue, saturation, lightness, alpha)
+        });
+    }
+
+    line(coords, hue, saturation, lightness, alpha, width) {
+        this.backend.record({
+            op: 'line', points: coords.slice(), width,
+            color: recordedColor(hue, saturation, lightness, alpha)
+        });
+    }
+
+    // Marks where a real backend would draw the group collected so far, and
+    // what that group is ({ ring, layer }, { band }, { part }) when known
+    flush(group) {
+        this.backend.record(group ? { op: 'flush', group } : { op: 'flush' });
+    }
+}
+
+// The slice of CanvasRenderingContext2D the text overlays use. fillText()
+// records the text with the font, colour and alignment in effect.
+class RecordingContext2D {
+    constructor(backend) {
+        this.backend   = backend;
+        this.font      = '10px sans-serif';
+        this.fillStyle = '#000000';
+        this.textAlign = 'start';
+        this.saved     = [];
+    }
+
+    save() {
+        this.saved.push({ font: this.font, fillStyle: this.fillStyle, textAlign: this.textAlign });
+    }
+
+    restore() {
+        Object.assign(this, this.saved.pop());
+    }
+
+    clearRect() {}
+
+    fillText(text, x, y) {
+        this.backend.record({
+            op: 'text', text: String(text), x, y,
+            font: this.font, fillStyle: this.fillStyle, textAlign: this.textAlign
+        });
+    }
+}
+
+class RecordingBackend {
+    // canvas only needs width and height — a plain object works in Node
+    constructor(canvas) {
+        this.kind        = 'recording';
+        this.canvas      = canvas;
+        this.displayList = [];
+        this.batch       = new RecordingBatch(this);
+    }
+
+    record(entry) {
+        this.displayList.push(roundRecorded(entry));
+    }
+
+    fade(alpha) {
+        this.record({ op: 'fade', alpha });
+    }
+
+    withZoom(scale, draw) {
+        this.record({ op: 'zoom', scale });
+        draw();
+        this.record({ op: 'endZoom' });
+    }
+
+    overlay(slot, key, draw) {
+        this.record({ op: 'overlay', slot });
+        draw(new RecordingContext2D(this));
+    }
+
+    resize() {
+        this.record({ op: 'resize', width: this.canvas.width, height: this.canvas.height });
+    }
+
+    getImageData() {
+        throw new Error('A recording backend has no pixels — use takeDisplayList()');
+    }
+
+    // Returns everything recorded so far and starts a new list
+    takeDisplayList() {
+        const list = this.displayList;
+        this.displayList = [];
+        return list;
+    }
+}
+
+// Redraws a frameState() (MandalaGenerator or MandalaWorkerProxy) on a fresh
+// generator at `size` pixels and full quality. Returns the frame's display
+// list and the canvas size it was drawn at.
+function recordFrameState(state, size = 600) {
+    const canvas    = { width: 0, height: 0 };
+    const backend   = new RecordingBackend(canvas);
+    const generator = new MandalaGenerator(canvas, { backend, displaySize: size, pixelRatio: 1 });
+
+    generator.applyFrameState(state);
+
+    backend.takeDisplayList(); // setup (initial resize) is not part of the frame
+    generator.renderAt(state.seconds);
+    return { displayList: backend.takeDisplayList(), width: canvas.width, height: canvas.height };
+}
+
+// Draws one frame of an intention at `seconds` and returns its display list.
+// options: style, projection, size (canvas size in pixels, default 600), plus
+// anything MandalaGenerator.generate() accepts (generatorVersion, caseFold, ...).
+async function recordMandalaFrame(intentionText, seconds, options = {}) {
+    const { hashed, spec } = await MandalaGenerator.prepareIntention(intentionText, options);
+    const state = {
+        hashed, spec, intentionText, seconds,
+        style:      options.style || 'sacred',
+        projection: options.projection || null
+    };
+    return recordFrameState(state, options.size).displayList;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        DISPLAY_LIST_PRECISION,
+        RecordingBackend,
+        RecordingContext2D,
+        recordFrameState,
+        recordMandalaFrame
+    };
+}
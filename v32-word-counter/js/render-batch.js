@@ -0,0 +1,271 @@
+// render-batch.js - Batched canvas drawing for the Intention Keeper renderer
+//
+// Drawing every dot and connection as its own path with its own shadowBlur
+// costs thousands of shadowed draw calls per frame in Cosmic. A RenderBatch
+// collects one group of shapes (one ring layer, or one depth band in Celestial)
+// and draws it with as few calls as possible:
+//   - dots sharing a fill colour become one path and one fill()
+//   - curves sharing a stroke colour and width become one path and one stroke()
+//   - glow comes from pre-rendered sprites (GlowSpriteCache) drawn with
+//     drawImage(), never from per-shape shadowBlur
+//
+// Within one flush the layers are drawn glows → curve halos → curves and
+// lines → dots, so crisp dots always sit on top of their own glow and connections.
+//
+// Colours are passed as numbers (hue, saturation %, lightness %, alpha) so
+// every backend can use them directly; this one builds the CSS strings.
+//
+// A render backend is what MandalaGenerator draws through. Canvas2DBackend
+// below and WebGL2Backend (webgl-backend.js) share this shape:
+//   kind                       — '2d' or 'webgl2'
+//   batch                      — dot / glow / curve / curveHalo / line / flush,
+//                                plus glowEnabled. flush(group) may name what was
+//                                collected — { ring, layer }, { band } or
+//                                { part } — for backends that keep structure
+//                                (recording-backend.js); drawing ignores it
+//   fade(alpha)                — black over the whole canvas (trails, clearing)
+//   withZoom(scale, draw)      — draw() scaled about the canvas centre
+//   overlay(slot, key, draw)   — draw(ctx2d) text on top; key changes when the
+//                                content does, so backends may cache the result
+//   resize()                   — after the canvas size changes
+//   getImageData()             — the current frame's pixels
+
+// Sprite resolution — glows are scaled from this, so it only needs to be smooth
+const GLOW_SPRITE_SIZE = 64;
+
+// Sprites are cached per hue bucket; 2° steps are indistinguishable in a blur
+const GLOW_HUE_STEP = 2;
+
+// Pre-rendered radial glow sprites, one per (hue bucket, saturation, lightness).
+// Each is a Gaussian falloff at full opacity; callers set the intensity with
+// globalAlpha, so one sprite serves every alpha and every size.
+class GlowSpriteCache {
+    constructor() {
+        this.sprites = new Map();
+    }
+
+    get(hue, saturation, lightness) {
+        const bucket = (Math.round(hue / GLOW_HUE_STEP) * GLOW_HUE_STEP) % 360;
+        const key    = `${bucket}|${saturation}|${lightness}`;
+
+        let sprite = this.sprites.get(key);
+        if (!sprite) {
+            sprite = this.render(bucket, saturation, lightness);
+            this.sprites.set(key, sprite);
+        }
+        return sprite;
+    }
+
+    // Canvas shadows are a Gaussian with σ = shadowBlur / 2, which has faded
+    // out by 2σ. The sprite's edge is that 2σ point; the stops follow the curve.
+    render(hue, saturation, lightness) {
+        const size   = GLOW_SPRITE_SIZE;
+        const sprite = this.createCanvas(size);
+        const ctx    = sprite.getContext('2d');
+        const half   = size / 2;
+
+        const gradient = ctx.createRadialGradient(half, half, 0, half, half, half);
+        for (let i = 0; i <= 8; i++) {
+            const t = i / 8;
+            const a = i === 8 ? 0 : Math.exp(-4.5 * t * t);
+            gradient.addColorStop(t, `hsla(${hue}, ${saturation}%, ${lightness}%, ${a.toFixed(3)})`);
+        }
+        ctx.fillStyle = gradient;
+        ctx.fillRect(0, 0, size, size);
+        return sprite;
+    }
+
+    createCanvas(size) {
+        return createScratchCanvas(size, size);
+    }
+}
+
+// An off-screen canvas for intermediate drawing — OffscreenCanvas where
+// available (also works inside workers), otherwise a detached <canvas>
+function createScratchCanvas(width, height) {
+    if (typeof OffscreenCanvas !== 'undefined') {
+        return new OffscreenCanvas(width, height);
+    }
+    const canvas  = document.createElement('canvas');
+    canvas.width  = width;
+    canvas.height = height;
+    return canvas;
+}
+
+function hslaString(hue, saturation, lightness, alpha) {
+    return `hsla(${hue}, ${saturation}%, ${lightness}%, ${alpha})`;
+}
+
+class RenderBatch {
+    constructor(ctx, glowSprites) {
+        this.ctx         = ctx;
+        this.glowSprites = glowSprites || new GlowSpriteCache();
+
+        // Turned off by the quality governor — glow() and curveHalo() become no-ops
+        this.glowEnabled = true;
+        this.clear();
+    }
+
+    clear() {
+        this.glows  = [];
+        this.halos  = new Map();
+        this.curves = new Map();
+        this.lines  = [];
+        this.dots   = new Map();
+    }
+
+    // Filled circle
+    dot(x, y, radius, hue, saturation, lightness, alpha) {
+        this.group(this.dots, hslaString(hue, saturation, lightness, alpha)).push(x, y, radius);
+    }
+
+    // The glow shadowBlur would have cast around a dot of `radius`.
+    // A small dot under a wide blur never reaches full strength, so the peak
+    // is scaled by how much of the Gaussian the dot actually covers.
+    glow(x, y, radius, blur, hue, saturation, lightness, alpha) {
+        if (!this.glowEnabled || blur <= 0 || alpha <= 0) return;
+        const coverage = 1 - Math.exp(-2 * (radius * radius) / (blur * blur));
+        this.glows.push({
+            x, y,
+            extent: radius + blur,
+            alpha:  alpha * coverage,
+            sprite: this.glowSprites.get(hue, saturation, lightness)
+        });
+    }
+
+    // Quadratic curve; colour and width together form the group
+    curve(x0, y0, cpX, cpY, x1, y1, hue, saturation, lightness, alpha, width) {
+        this.group(this.curves, `${hslaString(hue, saturation, lightness, alpha)}|${width}`)
+            .push(x0, y0, cpX, cpY, x1, y1);
+    }
+
+    // Open polyline through flat [x0, y0, x1, y1, ...] coordinates, stroked as one path
+    line(coords, hue, saturation, lightness, alpha, width) {
+        this.lines.push({ coords, stroke: hslaString(hue, saturation, lightness, alpha), width });
+    }
+
+    // A wider, fainter copy of a curve beneath it — the stand-in for a stroked
+    // line's shadowBlur. A blurred 1px line peaks near 0.8 / blur of its alpha
+    // and spreads across roughly `blur` pixels.
+    curveHalo(x0, y0, cpX, cpY, x1, y1, blur, hue, saturation, lightness, alpha) {
+        if (!this.glowEnabled || blur <= 0 || alpha <= 0) return;
+        const peak  = Number(Math.min(1, alpha * 0.8 / blur).toFixed(3));
+        const width = Math.max(1, Math.round(blur));
+        this.group(this.halos, `${hslaString(hue, saturation, lightness, peak)}|${width}`)
+            .push(x0, y0, cpX, cpY, x1, y1);
+    }
+
+    group(map, key) {
+        let list = map.get(key);
+        if (!list) {
+            list = [];
+            map.set(key, list);
+        }
+        return list;
+    }
+
+    // Draws everything collected since the last flush, then empties the batch
+    flush() {
+        const ctx = this.ctx;
+
+        if (this.glows.length) {
+            for (const g of this.glows) {
+                ctx.globalAlpha = Math.min(1, g.alpha);
+                ctx.drawImage(g.sprite, g.x - g.extent, g.y - g.extent, g.extent * 2, g.extent * 2);
+            }
+            ctx.globalAlpha = 1;
+        }
+
+        this.strokeCurves(this.halos);
+        this.strokeCurves(this.curves);
+
+        for (const line of this.lines) {
+            ctx.beginPath();
+            ctx.moveTo(line.coords[0], line.coords[1]);
+            for (let i = 2; i < line.coords.length; i += 2) {
+                ctx.lineTo(line.coords[i], line.coords[i + 1]);
+            }
+            ctx.strokeStyle = line.stroke;
+            ctx.lineWidth   = line.width;
+            ctx.stroke();
+        }
+
+        this.dots.forEach((coords, fill) => {
+            ctx.beginPath();
+            for (let i = 0; i < coords.length; i += 3) {
+                const x = coords[i], y = coords[i + 1], r = coords[i + 2];
+                ctx.moveTo(x + r, y);
+                ctx.arc(x, y, r, 0, Math.PI * 2);
+            }
+            ctx.fillStyle = fill;
+            ctx.fill();
+        });
+
+        this.clear();
+    }
+
+    strokeCurves(groups) {
+        const ctx = this.ctx;
+        groups.forEach((coords, key) => {
+            const split = key.lastIndexOf('|');
+            ctx.beginPath();
+            for (let i = 0; i < coords.length; i += 6) {
+                ctx.moveTo(coords[i], coords[i + 1]);
+                ctx.quadraticCurveTo(coords[i + 2], coords[i + 3], coords[i + 4], coords[i + 5]);
+            }
+            ctx.strokeStyle = key.slice(0, split);
+            ctx.lineWidth   = Number(key.slice(split + 1));
+            ctx.stroke();
+        });
+    }
+}
+
+// The plain CanvasRenderingContext2D backend. Overlays draw straight onto the
+// canvas every frame — the 2D context has nothing to gain from caching them.
+class Canvas2DBackend {
+    constructor(canvas, ctx) {
+        this.kind   = '2d';
+        this.canvas = canvas;
+        this.ctx    = ctx || canvas.getContext('2d');
+        this.batch  = new RenderBatch(this.ctx, new GlowSpriteCache());
+    }
+
+    fade(alpha) {
+        this.ctx.fillStyle = `rgba(0, 0, 0, ${alpha})`;
+        this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+    }
+
+    withZoom(scale, draw) {
+        const cx = this.canvas.width  / 2;
+        const cy = this.canvas.height / 2;
+        this.ctx.save();
+        this.ctx.translate(cx, cy);
+        this.ctx.scale(scale, scale);
+        this.ctx.translate(-cx, -cy);
+        draw();
+        this.ctx.restore();
+    }
+
+    overlay(slot, key, draw) {
+        this.ctx.save();
+        draw(this.ctx);
+        this.ctx.restore();
+    }
+
+    resize() {}
+
+    getImageData() {
+        return this.ctx.getImageData(0, 0, this.canvas.width, this.canvas.height);
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        GLOW_SPRITE_SIZE,
+        GlowSpriteCache,
+        RenderBatch,
+        Canvas2DBackend,
+        createScratchCanvas,
+        hslaString
+    };
+}
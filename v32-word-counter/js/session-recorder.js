@@ -0,0 +1,120 @@
+// session-recorder.js - WebM recording of a session, picture and sound
+//
+// The mandala canvas is captured with captureStream() and the audio engine's
+// output through a MediaStreamAudioDestinationNode (IntentionAudioEngine.
+// createRecordingStream()). MediaRecorder muxes both into one WebM file, so the
+// heartbeat and sitar harmonic play in sync with the breathing geometry.
+//
+// Recording happens in real time: a 20-minute session takes 20 minutes to
+// record. Keep the tab in front — hidden tabs stop drawing and the video
+// freezes with them. captureStream() is meant to work on a canvas handed to
+// the opt-in worker renderer (mandala-proxy.js) too, capturing what the worker
+// draws, but that path is untested.
+
+const SESSION_RECORDING_FPS = 30;
+
+// Modest rates — the picture is mostly dark and slow-moving, and a full
+// session can run for nearly three hours
+const SESSION_VIDEO_BITS_PER_SECOND = 2500000;
+const SESSION_AUDIO_BITS_PER_SECOND = 128000;
+
+// Preferred first; the browser picks the first it can encode
+const SESSION_RECORDING_TYPES = [
+    'video/webm;codecs=vp9,opus',
+    'video/webm;codecs=vp8,opus',
+    'video/webm'
+];
+
+// Lengths offered in the picker. seconds: null records the timed session from
+// Begin Meditation through the end of the spiral dissolve.
+const SESSION_RECORDING_LENGTHS = [
+    { label: '10 seconds',   seconds: 10   },
+    { label: '30 seconds',   seconds: 30   },
+    { label: '1 minute',     seconds: 60   },
+    { label: '5 minutes',    seconds: 300  },
+    { label: 'Full session', seconds: null }
+];
+
+class SessionRecorder {
+    // First entry of SESSION_RECORDING_TYPES this browser can record, or null
+    static mimeType() {
+        if (typeof MediaRecorder === 'undefined') return null;
+        return SESSION_RECORDING_TYPES.find(type => MediaRecorder.isTypeSupported(type)) || null;
+    }
+
+    static isSupported(canvas) {
+        return typeof canvas.captureStream === 'function' && SessionRecorder.mimeType() !== null;
+    }
+
+    // Approximate file size of a recording, for warning before long sessions
+    static estimateBytes(seconds) {
+        return seconds * (SESSION_VIDEO_BITS_PER_SECOND + SESSION_AUDIO_BITS_PER_SECOND) / 8;
+    }
+
+    constructor(audioEngine) {
+        this.audioEngine = audioEngine;
+        this.recorder    = null;
+        this.finished    = null;
+        this.stopTimer   = null;
+    }
+
+    get recording() {
+        return this.recorder !== null && this.recorder.state !== 'inactive';
+    }
+
+    // Starts recording canvas. With seconds, stops by itself after that long;
+    // otherwise runs until stop(). Returns a promise of the WebM Blob.
+    // The canvas is passed per recording — the worker renderer's fallback can
+    // replace the element after the page loads.
+    start(canvas, seconds) {
+        if (this.recording) {
+            throw new Error('A recording is already running');
+        }
+
+        const stream = canvas.captureStream(SESSION_RECORDING_FPS);
+        const audio  = this.audioEngine ? this.audioEngine.createRecordingStream() : null;
+        if (audio) audio.getAudioTracks().forEach(track => stream.addTrack(track));
+
+        const chunks = [];
+        const recorder = new MediaRecorder(stream, {
+            mimeType:           SessionRecorder.mimeType(),
+            videoBitsPerSecond: SESSION_VIDEO_BITS_PER_SECOND,
+            audioBitsPerSecond: SESSION_AUDIO_BITS_PER_SECOND
+        });
+        recorder.addEventListener('dataavailable', (event) => {
+            if (event.data.size) chunks.push(event.data);
+        });
+
+        this.finished = new Promise((resolve) => {
+            recorder.addEventListener('stop', () => {
+                clearTimeout(this.stopTimer);
+                this.stopTimer = null;
+                stream.getVideoTracks().forEach(track => track.stop());
+                if (this.audioEngine) this.audioEngine.releaseRecordingStream();
+                resolve(new Blob(chunks, { type: recorder.mimeType }));
+            });
+        });
+
+        // One-second slices keep a long session from being encoded as one buffer
+        recorder.start(1000);
+        this.recorder = recorder;
+
+        if (seconds) {
+            this.stopTimer = setTimeout(() => this.stop(), seconds * 1000);
+        }
+        return this.finished;
+    }
+
+    // Ends the recording early or on cue. Resolves with the same Blob as start().
+    stop() {
+        if (this.recording) this.recorder.stop();
+        return this.finished;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        SESSION_RECORDING_LENGTHS,
+        SessionRecorder
+    };
+}
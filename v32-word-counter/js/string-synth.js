@@ -0,0 +1,269 @@
+// string-synth.js - Karplus-Strong plucked strings for the sitar and tanpura voices
+//
+// A plucked string is a delay line one period long, filled with a burst of
+// noise and fed back through a gentle lowpass: the noise settles into the
+// string's harmonics, the highs dying first, exactly as a real string's do.
+// Everything is computed — there are no samples.
+//
+// Indian strings buzz: the flat jawari bridge lets the string graze it on one
+// side of each swing, which shortens the vibrating length while it touches.
+// The model does the same — the loop's delay shrinks with the string's
+// displacement towards the bridge — so energy is thrown up into the high
+// harmonics; the buzz is loud at the pluck and melts away as the note decays.
+// A sitar also carries sympathetic strings that nobody plucks; they are more
+// delay lines, fed a little of the played string, ringing wherever its
+// harmonics line up with their tuning.
+//
+// Notes are rendered ahead into sample arrays (audio.js caches them as
+// AudioBuffers), so each pluck is scheduled like any other note. The noise is
+// seeded by the pitch, so the same note is always the same sound. A note takes
+// tens of milliseconds to render, so StringRenderer does it in
+// string-worker.js, off the main thread.
+
+// Relative to the page, like the <script> tags
+const STRING_WORKER_URL = 'js/string-worker.js';
+
+// Shortening of the string, as a share of its length, at full displacement
+// and full buzz
+const JAWARI_DEPTH = 0.05;
+
+// Pole of the loop's DC blocker. Touching the bridge on one side only pushes
+// the string off centre, and a loop this long would hold that offset forever.
+const STRING_DC_POLE = 0.9999;
+
+// Outside the loop the blocker only runs once, so it can cut harder (about 15 Hz)
+const OUTPUT_DC_POLE = 0.998;
+
+// Rendered notes fade out over their last this many seconds rather than stopping dead
+const STRING_FADE_SECONDS = 0.1;
+
+// Played through IntentionAudioEngine.playSitar(), playTanpura() and playMelody().
+//   seconds     length rendered
+//   t60         seconds for the fundamental to die away by 60 dB
+//   brightness  0-1 — lowpass of the pluck's noise; higher plucks nearer the bridge
+//   buzz        0-1 — how much of each swing the jawari catches; 0 is a plain string
+//   coupling    share of the played string fed into each sympathetic string
+const SITAR_VOICE = {
+    name: 'sitar', seconds: 2.5, t60: 1.8, brightness: 0.8, buzz: 0.45, coupling: 0.02
+};
+const TANPURA_VOICE = {
+    name: 'tanpura', seconds: 5, t60: 7, brightness: 0.35, buzz: 0.6, coupling: 0
+};
+const MELODY_VOICE = {
+    name: 'melody', seconds: 1.6, t60: 1.2, brightness: 0.6, buzz: 0.2, coupling: 0
+};
+
+// One string: a delay line with loss, an averaging lowpass, an allpass for
+// the fraction of a sample the integer line can't hold, and a DC blocker
+class KarplusStrongString {
+    constructor(sampleRate, hz, t60) {
+        if (!(hz > 0 && hz < sampleRate / 4)) {
+            throw new Error(`Cannot model a string at ${hz} Hz`);
+        }
+        // The averaging filter adds half a sample of delay
+        const period = sampleRate / hz - 0.5;
+        const length = Math.floor(period - 0.1);
+        const frac   = period - length;
+
+        this.line     = new Float32Array(length);
+        this.at       = 0;
+        this.previous = 0;
+        this.apIn     = 0;
+        this.apOut    = 0;
+        this.dcIn     = 0;
+        this.dcOut    = 0;
+        this.allpass  = (1 - frac) / (1 + frac);
+        this.loss     = Math.pow(0.001, 1 / (hz * t60));
+    }
+
+    // Fills the string with an excitation (one period of samples)
+    pluck(excitation) {
+        this.line.set(excitation.subarray(0, this.line.length));
+    }
+
+    // Advances one sample: returns the string's output and feeds `input` in.
+    // buzz (0-1) is how hard the jawari shortens the string.
+    step(input, buzz) {
+        const out = buzz > 0 ? this.bridgeRead(buzz) : this.line[this.at];
+        let value = this.loss * 0.5 * (out + this.previous);
+        this.previous = out;
+
+        const shifted = this.allpass * value + this.apIn - this.allpass * this.apOut;
+        this.apIn  = value;
+        this.apOut = shifted;
+
+        value = shifted - this.dcIn + STRING_DC_POLE * this.dcOut;
+        this.dcIn  = shifted;
+        this.dcOut = value;
+
+        this.line[this.at] = value + input;
+        this.at = this.at + 1 === this.line.length ? 0 : this.at + 1;
+        return out;
+    }
+
+    // The delay line read short by the jawari: only swings towards the bridge
+    // (positive displacement) touch it. Linear interpolation between samples.
+    bridgeRead(buzz) {
+        const length  = this.line.length;
+        const shorten = Math.min(length - 2, buzz * JAWARI_DEPTH * length * Math.max(0, this.apOut));
+        const whole   = Math.floor(shorten);
+        const first   = this.at + whole < length ? this.at + whole : this.at + whole - length;
+        const second  = first + 1 === length ? 0 : first + 1;
+        const frac    = shorten - whole;
+        return this.line[first] * (1 - frac) + this.line[second] * frac;
+    }
+}
+
+// Seeded uniform noise in [-1, 1) — mulberry32
+function stringNoise(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 2147483648 - 1;
+    };
+}
+
+// A pluck: lowpassed noise with no DC (it would never decay), peak 1
+function pluckExcitation(length, brightness, seed) {
+    const noise = stringNoise(seed);
+    const burst = new Float32Array(length);
+    let smooth = 0, mean = 0;
+    for (let i = 0; i < length; i++) {
+        smooth += brightness * (noise() - smooth);
+        burst[i] = smooth;
+        mean    += smooth / length;
+    }
+    let peak = 0;
+    for (let i = 0; i < length; i++) {
+        burst[i] -= mean;
+        peak = Math.max(peak, Math.abs(burst[i]));
+    }
+    return burst.map(value => value / (peak || 1));
+}
+
+// Renders one plucked note. voice: SITAR_VOICE, TANPURA_VOICE or the like;
+// sympatheticHz tunes the unplucked strings. Returns mono samples, peak 1,
+// centred on zero and faded out at the end.
+function pluckString(sampleRate, hz, voice, sympatheticHz = []) {
+    const samples = new Float32Array(Math.round(voice.seconds * sampleRate));
+    const string  = new KarplusStrongString(sampleRate, hz, voice.t60);
+    string.pluck(pluckExcitation(string.line.length, voice.brightness, Math.round(hz * 100)));
+
+    // Sympathetic strings ring on longer than the one that was plucked
+    const sympathetic = sympatheticHz.map(freq => new KarplusStrongString(sampleRate, freq, voice.t60 * 1.5));
+
+    // The sympathetic strings pick up what offset the played one has before
+    // its blocker settles, so the mix is blocked once more
+    let peak = 0, dcIn = 0, dcOut = 0;
+    for (let i = 0; i < samples.length; i++) {
+        const played = string.step(0, voice.buzz);
+        let value = played;
+        for (const other of sympathetic) value += other.step(played * voice.coupling, voice.buzz);
+
+        dcOut = value - dcIn + OUTPUT_DC_POLE * dcOut;
+        dcIn  = value;
+        samples[i] = dcOut;
+        peak = Math.max(peak, Math.abs(dcOut));
+    }
+
+    const fade = Math.min(samples.length, Math.round(STRING_FADE_SECONDS * sampleRate));
+    for (let i = 0; i < samples.length; i++) {
+        const left = samples.length - i;
+        samples[i] *= (left < fade ? left / fade : 1) / (peak || 1);
+    }
+    return samples;
+}
+
+// Renders notes with pluckString() in string-worker.js. Where the worker can't
+// start (no Worker support, or a page opened from file://) they are rendered
+// in-thread instead, one per timer turn, so the page never stalls for more
+// than one note at a time.
+class StringRenderer {
+    constructor(sampleRate) {
+        this.sampleRate = sampleRate;
+        this.jobs       = new Map();   // id → { hz, voice, sympatheticHz, resolve, reject }
+        this.nextId     = 0;
+        this.worker     = null;
+
+        // In-thread fallback: ids waiting, rendered one per timer turn
+        this.queue = [];
+        this.timer = null;
+
+        if (typeof Worker === 'undefined') return;
+        try {
+            this.worker = new Worker(STRING_WORKER_URL);
+            this.worker.addEventListener('message', (event) => this.onMessage(event.data));
+            this.worker.addEventListener('error', (event) => {
+                event.preventDefault();
+                this.fallBack(event.message);
+            });
+        } catch (e) {
+            this.fallBack(e.message);
+        }
+    }
+
+    // Resolves to the note's samples, as pluckString() returns them
+    render(hz, voice, sympatheticHz = []) {
+        return new Promise((resolve, reject) => {
+            const id = this.nextId++;
+            this.jobs.set(id, { hz, voice, sympatheticHz, resolve, reject });
+            if (this.worker) {
+                this.worker.postMessage({ type: 'render', id, sampleRate: this.sampleRate, hz, voice, sympatheticHz });
+            } else {
+                this.renderLater(id);
+            }
+        });
+    }
+
+    onMessage(message) {
+        const job = this.jobs.get(message.id);
+        if (!job) return;
+        this.jobs.delete(message.id);
+        if (message.type === 'rendered') {
+            job.resolve(new Float32Array(message.samples));
+        } else {
+            job.reject(new Error(message.message));
+        }
+    }
+
+    // The worker is gone: the notes it still owed are rendered here instead
+    fallBack(reason) {
+        console.warn('String worker unavailable; rendering notes on the main thread.', reason || '');
+        if (this.worker) this.worker.terminate();
+        this.worker = null;
+        for (const id of this.jobs.keys()) this.renderLater(id);
+    }
+
+    renderLater(id) {
+        this.queue.push(id);
+        if (this.timer === null) this.timer = setTimeout(() => this.renderNext(), 0);
+    }
+
+    // Renders the oldest waiting note, then yields before the next so the
+    // scheduler and the mandala get their turns in between
+    renderNext() {
+        const id  = this.queue.shift();
+        const job = this.jobs.get(id);
+        this.jobs.delete(id);
+        try {
+            job.resolve(pluckString(this.sampleRate, job.hz, job.voice, job.sympatheticHz));
+        } catch (e) {
+            job.reject(e);
+        }
+        this.timer = this.queue.length ? setTimeout(() => this.renderNext(), 0) : null;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        SITAR_VOICE,
+        TANPURA_VOICE,
+        MELODY_VOICE,
+        KarplusStrongString,
+        StringRenderer,
+        pluckString
+    };
+}
@@ -0,0 +1,22 @@
+// string-worker.js - Dedicated worker that renders plucked string notes
+//
+// Started by StringRenderer (string-synth.js), one per audio engine. Each
+// 'render' message asks for one note; its samples come back in a 'rendered'
+// message with the same id, the buffer transferred rather than copied.
+importScripts('string-synth.js');
+
+self.addEventListener('message', (event) => {
+    const { type, id, sampleRate, hz, voice, sympatheticHz } = event.data;
+    if (type !== 'render') {
+        console.warn(`String worker ignored "${type}" message`);
+        return;
+    }
+
+    // Report instead of dying — the page has no other view into the worker
+    try {
+        const samples = pluckString(sampleRate, hz, voice, sympatheticHz);
+        self.postMessage({ type: 'rendered', id, samples: samples.buffer }, [samples.buffer]);
+    } catch (e) {
+        self.postMessage({ type: 'error', id, message: e.message });
+    }
+});
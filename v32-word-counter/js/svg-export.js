@@ -0,0 +1,233 @@
+// svg-export.js - Vector (SVG) export of a mandala frame
+//
+// Raster downloads are useless at poster scale, where mandalas get printed on
+// canvas and fabric. This redraws the current frame through a RecordingBackend
+// (recording-backend.js) and writes the display list out as SVG:
+//
+//   <g class="ring">          one per ring (planar styles), holding
+//     <g class="layer">       one per symmetry layer
+//   <g class="depth-band">    Celestial — rings interleave in depth, so its
+//                             groups are the back-to-front depth bands
+//   <g class="lissajous">, <g class="centre">, <g class="overlay">
+//
+// Dots are <circle>s, connections quadratic <path>s, and glows and connection
+// halos are copies blurred with feGaussianBlur — the same Gaussian canvas
+// shadows use (σ = blur / 2), so the SVG glows like the original shadowBlur
+// renderer rather than the sprite approximation used on screen. The
+// MERIDIAN-HASH provenance and intention text are real <text>.
+//
+// Colours are written as hex plus opacity attributes rather than hsla(),
+// which print and vector-editing tools handle most reliably.
+
+if (typeof module !== 'undefined' && module.exports) {
+    Object.assign(globalThis, require('./recording-backend.js'));
+}
+
+// Coordinate size of the exported drawing. The SVG scales to any size; this
+// only sets the proportions of strokes and text, which follow the 600px canvas.
+const SVG_EXPORT_SIZE = 600;
+
+// Glow blurs are rounded to this many pixels of σ so frames share a few filters
+const SVG_BLUR_STEP = 0.5;
+
+// Order a flushed group is drawn in — same as the canvas backends
+const SVG_LAYER_ORDER = ['glow', 'curveHalo', 'stroke', 'dot'];
+
+function escapeXml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// { h, s, l, a } from the display list → hex colour and opacity
+function svgColor(color) {
+    const hex = hslToRgb(color.h, color.s, color.l)
+        .map(c => Math.round(c * 255).toString(16).padStart(2, '0'))
+        .join('');
+    return { hex: `#${hex}`, opacity: Math.min(1, color.a) };
+}
+
+// 'rgba(149, 165, 166, 0.8)' (overlay fillStyle) → hex colour and opacity
+function svgCssColor(css) {
+    const match = /rgba?\(([^)]+)\)/.exec(css);
+    if (!match) return { hex: css, opacity: 1 };
+    const [r, g, b, a = 1] = match[1].split(',').map(Number);
+    const hex = [r, g, b].map(c => Math.round(c).toString(16).padStart(2, '0')).join('');
+    return { hex: `#${hex}`, opacity: a };
+}
+
+function svgBlurId(sigma) {
+    return `glow-${Math.round(sigma * 10)}`;
+}
+
+function svgAttrs(attrs) {
+    return Object.keys(attrs).map(key => `${key}="${escapeXml(attrs[key])}"`).join(' ');
+}
+
+function svgCurvePath(entry) {
+    return `M${entry.from.join(' ')} Q${entry.control.join(' ')} ${entry.to.join(' ')}`;
+}
+
+// One flushed group of the display list as a <g>, drawn in SVG_LAYER_ORDER.
+// Glows and halos are gathered per blur filter so a whole group of them is
+// blurred at once.
+function svgGroup(entries, attrs, blurs) {
+    const layers = { glow: new Map(), curveHalo: new Map(), stroke: [], dot: [] };
+
+    for (const entry of entries) {
+        const { hex, opacity } = svgColor(entry.color);
+        if (entry.op === 'dot') {
+            layers.dot.push(`<circle cx="${entry.x}" cy="${entry.y}" r="${entry.radius}" fill="${hex}" fill-opacity="${opacity}"/>`);
+        } else if (entry.op === 'curve') {
+            layers.stroke.push(`<path d="${svgCurvePath(entry)}" stroke="${hex}" stroke-opacity="${opacity}" stroke-width="${entry.width}"/>`);
+        } else if (entry.op === 'line') {
+            layers.stroke.push(`<polyline points="${entry.points.join(' ')}" stroke="${hex}" stroke-opacity="${opacity}" stroke-width="${entry.width}"/>`);
+        } else if (entry.op === 'glow' || entry.op === 'curveHalo') {
+            const sigma = Math.max(SVG_BLUR_STEP, Math.round(entry.blur / 2 / SVG_BLUR_STEP) * SVG_BLUR_STEP);
+            blurs.add(sigma);
+            const shape = entry.op === 'glow'
+                ? `<circle cx="${entry.x}" cy="${entry.y}" r="${entry.radius}" fill="${hex}" fill-opacity="${opacity}"/>`
+                : `<path d="${svgCurvePath(entry)}" stroke="${hex}" stroke-opacity="${opacity}" stroke-width="1"/>`;
+            const byBlur = layers[entry.op];
+            if (!byBlur.has(sigma)) byBlur.set(sigma, []);
+            byBlur.get(sigma).push(shape);
+        }
+    }
+
+    const body = [];
+    for (const layer of SVG_LAYER_ORDER) {
+        const content = layers[layer];
+        if (content instanceof Map) {
+            content.forEach((shapes, sigma) => {
+                body.push(`<g filter="url(#${svgBlurId(sigma)})">${shapes.join('')}</g>`);
+            });
+        } else {
+            body.push(...content);
+        }
+    }
+    if (!body.length) return '';
+
+    const attrText = svgAttrs(attrs);
+    return `<g${attrText ? ' ' + attrText : ''}>\n${body.join('\n')}\n</g>`;
+}
+
+// Attributes naming a flushed group — see RenderBatch flush(group)
+function svgGroupAttrs(group) {
+    if (!group) return {};
+    if (group.layer != null) return { class: 'layer', 'data-layer': group.layer };
+    if (group.band  != null) return { class: 'depth-band', 'data-band': group.band };
+    if (group.part)          return { class: group.part };
+    return {};
+}
+
+function svgText(entry) {
+    const { hex, opacity } = svgCssColor(entry.fillStyle);
+    const size   = /(\d+(?:\.\d+)?)px/.exec(entry.font);
+    const family = entry.font.replace(/^.*?\d+(?:\.\d+)?px\s*/, '') || 'monospace';
+    const anchor = { right: 'end', end: 'end', center: 'middle' }[entry.textAlign] || 'start';
+    const attrs  = {
+        x: entry.x, y: entry.y,
+        'font-family': family, 'font-size': size ? size[1] : 10,
+        'text-anchor': anchor, fill: hex, 'fill-opacity': opacity
+    };
+    return `<text ${svgAttrs(attrs)}>${escapeXml(entry.text)}</text>`;
+}
+
+// Turns a recorded display list into an SVG document
+function displayListToSvg(displayList, width, height) {
+    const blurs = new Set();
+    const body  = [];
+    let pending = [];
+
+    // The ring or overlay <g> currently open. A ring stays open across its
+    // layers' flushes; an overlay runs until anything else is drawn.
+    let open = null;
+    const close = () => {
+        if (!open) return;
+        body.push('</g>');
+        open = null;
+    };
+
+    for (const entry of displayList) {
+        switch (entry.op) {
+            case 'flush': {
+                const group = entry.group || {};
+                if (group.ring == null) {
+                    close();
+                } else if (!open || open.ring !== group.ring) {
+                    close();
+                    body.push(`<g class="ring" data-ring="${group.ring}">`);
+                    open = { ring: group.ring };
+                }
+                const g = svgGroup(pending, svgGroupAttrs(group), blurs);
+                if (g) body.push(g);
+                pending = [];
+                break;
+            }
+            case 'fade':
+                // A single frame has no earlier frame to fade over — it is the background
+                close();
+                body.push(`<rect width="${width}" height="${height}" fill="#000000"/>`);
+                break;
+            case 'zoom': {
+                close();
+                const cx = width / 2;
+                const cy = height / 2;
+                body.push(`<g transform="translate(${cx} ${cy}) scale(${entry.scale}) translate(${-cx} ${-cy})">`);
+                break;
+            }
+            case 'endZoom':
+                close();
+                body.push('</g>');
+                break;
+            case 'overlay':
+                close();
+                body.push(`<g class="overlay" data-slot="${escapeXml(entry.slot)}">`);
+                open = { overlay: entry.slot };
+                break;
+            case 'text':
+                body.push(svgText(entry));
+                break;
+            case 'resize':
+                break;
+            default:
+                pending.push(entry);
+        }
+    }
+    close();
+
+    // Each blur filter covers the whole drawing — glows spread well past the
+    // shapes they belong to, and a straight halo's bounding box has no height
+    const filters = [...blurs].sort((x, y) => x - y).map(sigma =>
+        `<filter id="${svgBlurId(sigma)}" filterUnits="userSpaceOnUse" x="0" y="0" width="${width}" height="${height}">` +
+        `<feGaussianBlur stdDeviation="${sigma}"/></filter>`
+    );
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" fill="none" stroke-linecap="round">`,
+        filters.length ? `<defs>\n${filters.join('\n')}\n</defs>` : '',
+        ...body,
+        '</svg>'
+    ].filter(Boolean).join('\n');
+}
+
+// SVG of the frame a renderer (MandalaGenerator or MandalaWorkerProxy) is showing
+function renderMandalaSvg(renderer, size = SVG_EXPORT_SIZE) {
+    const state = renderer.frameState();
+    if (!state.spec) {
+        throw new Error('No mandala to export — generate one first');
+    }
+    const { displayList, width, height } = recordFrameState(state, size);
+    return displayListToSvg(displayList, width, height);
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        SVG_EXPORT_SIZE,
+        displayListToSvg,
+        renderMandalaSvg
+    };
+}
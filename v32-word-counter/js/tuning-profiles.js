@@ -0,0 +1,195 @@
+// tuning-profiles.js - Named tunings for the Intention Keeper soundscape
+//
+// A tuning profile decides what the audio engine (audio.js) actually plays:
+//   heartbeatHz  pitch of the heartbeat thud
+//   rootHz       the harmonic's root
+//   intervals    divisors the harmonic may sound at: harmonic = rootHz / interval,
+//                one interval per intention, chosen by its hash
+//   droneHz      Sa of the tanpura drone (optional). Without it the drone is
+//                tuned an interval below the root, chosen by the hash
+//   scale        MUSICAL_SCALES key the hash melody plays in (optional).
+//                Without it the hash chooses the scale (hash-melody.js)
+//
+// The hash always picks the same position in a profile's intervals, so an
+// intention keeps its own note within every tuning. Profiles using the
+// standard HARMONIC_INTERVALS table (generator-profiles.js) play the exact
+// interval the generator profile picked, as the engine always has.
+//
+// Each saved intention records the tuning it was played in. Entries saved
+// before tuning profiles existed play LEGACY_TUNING, which is what they sounded
+// like at the time. Like generator profiles, released tunings are frozen.
+
+if (typeof module !== 'undefined' && module.exports) {
+    Object.assign(globalThis, require('./generator-profiles.js'));
+}
+
+// Tuning for newly generated intentions
+const DEFAULT_TUNING = 'solfeggio-852';
+
+// Tuning of intentions saved before tuning profiles existed
+const LEGACY_TUNING = 'legacy';
+
+// The heartbeat sits in this bass range: a profile's root brought down by octaves
+const HEARTBEAT_CEILING_HZ = 160;
+
+function bassOctave(hz) {
+    while (hz >= HEARTBEAT_CEILING_HZ) hz /= 2;
+    return hz;
+}
+
+// A Solfeggio frequency as the root, over the consonant just intervals
+function solfeggioProfile(hz, centre) {
+    return {
+        group:       'Solfeggio',
+        label:       `${hz} Hz · ${centre}`,
+        heartbeatHz: bassOctave(hz),
+        rootHz:      hz,
+        intervals:   HARMONIC_INTERVALS
+    };
+}
+
+// The tanpura's Sa sits in this octave; its lowest string an octave below
+const DRONE_FLOOR_HZ = 100;
+
+// The entrainment carrier sits in this octave, where binaural beats are heard
+// most clearly
+const CARRIER_FLOOR_HZ = 250;
+
+// Equal-tempered fifth, fourth, major third and major second below concert A4 —
+// the same four intervals as HARMONIC_INTERVALS, on a piano's tuning
+function concertProfile(a4) {
+    return {
+        group:       'Concert',
+        label:       `A = ${a4} Hz`,
+        heartbeatHz: a4 / 4,
+        rootHz:      a4,
+        intervals:   [7, 5, 4, 2].map(semitones => Math.pow(2, semitones / 12))
+    };
+}
+
+// Ragas and modes as the just ratios of their ascending notes to the tonic (Sa).
+// Raga tunings are built on them and the hash melody plays in them. Frozen:
+// the melody picks a scale by its position in this table.
+const MUSICAL_SCALES = {
+    yaman:      { label: 'Raga Yaman',      ratios: [1, 9/8, 5/4, 45/32, 3/2, 5/3, 15/8] },
+    bhairav:    { label: 'Raga Bhairav',    ratios: [1, 16/15, 5/4, 4/3, 3/2, 8/5, 15/8] },
+    bhupali:    { label: 'Raga Bhupali',    ratios: [1, 9/8, 5/4, 3/2, 5/3] },
+    kafi:       { label: 'Raga Kafi',       ratios: [1, 9/8, 6/5, 4/3, 3/2, 5/3, 9/5] },
+    malkauns:   { label: 'Raga Malkauns',   ratios: [1, 6/5, 4/3, 8/5, 9/5] },
+    bhairavi:   { label: 'Raga Bhairavi',   ratios: [1, 16/15, 6/5, 4/3, 3/2, 8/5, 9/5] },
+    ionian:     { label: 'Ionian mode',     ratios: [1, 9/8, 5/4, 4/3, 3/2, 5/3, 15/8] },
+    mixolydian: { label: 'Mixolydian mode', ratios: [1, 9/8, 5/4, 4/3, 3/2, 5/3, 9/5] },
+    aeolian:    { label: 'Aeolian mode',    ratios: [1, 9/8, 6/5, 4/3, 3/2, 8/5, 9/5] }
+};
+
+// Sa of the raga profiles — C♯4, a common sitar tonic
+const RAGA_SA_HZ = 277.18;
+
+// A tuning on one of MUSICAL_SCALES' ragas. The root is the upper Sa, so the
+// divisor 2 / ratio sounds each note of the scale in the octave from Sa up;
+// the heartbeat is Sa an octave below, like the sitar's lowest drone string,
+// and the tanpura is tuned to Sa as it always is for a raga.
+function ragaProfile(scale) {
+    return {
+        group:       'Raga',
+        label:       MUSICAL_SCALES[scale].label,
+        heartbeatHz: RAGA_SA_HZ / 2,
+        rootHz:      RAGA_SA_HZ * 2,
+        droneHz:     RAGA_SA_HZ,
+        scale:       scale,
+        intervals:   MUSICAL_SCALES[scale].ratios.map(ratio => 2 / ratio)
+    };
+}
+
+const TUNING_PROFILES = {
+
+    // What every session played before tuning profiles. The root was set to
+    // 53.25 Hz (852 / 16) although documented as 852 Hz, so the heartbeat
+    // sounded near 8 Hz and the harmonic at 35-47 Hz.
+    legacy: {
+        group:       'Original',
+        label:       'v3.2 original (53.25 Hz root)',
+        heartbeatHz: 53.25 * 0.15,
+        rootHz:      53.25,
+        intervals:   HARMONIC_INTERVALS
+    },
+
+    // Solfeggio scale, each tone with the energy centre it is associated with.
+    // 174 and 285 Hz sit below the seven chakras and are used for grounding.
+    'solfeggio-174': solfeggioProfile(174, 'Foundation'),
+    'solfeggio-285': solfeggioProfile(285, 'Restoration'),
+    'solfeggio-396': solfeggioProfile(396, 'Root (Muladhara)'),
+    'solfeggio-417': solfeggioProfile(417, 'Sacral (Svadhisthana)'),
+    'solfeggio-528': solfeggioProfile(528, 'Solar Plexus (Manipura)'),
+    'solfeggio-639': solfeggioProfile(639, 'Heart (Anahata)'),
+    'solfeggio-741': solfeggioProfile(741, 'Throat (Vishuddha)'),
+    'solfeggio-852': solfeggioProfile(852, 'Third Eye (Ajna)'),
+    'solfeggio-963': solfeggioProfile(963, 'Crown (Sahasrara)'),
+
+    'concert-432': concertProfile(432),
+    'concert-440': concertProfile(440),
+
+    'raga-yaman':   ragaProfile('yaman'),
+    'raga-bhairav': ragaProfile('bhairav'),
+    'raga-bhupali': ragaProfile('bhupali'),
+    'raga-kafi':    ragaProfile('kafi')
+};
+
+// Looks up a saved tuning. Missing ones (entries saved before tuning profiles)
+// resolve to the legacy tuning; unknown ones fall back to the default with a warning.
+function getTuningProfile(name) {
+    const resolved = name == null ? LEGACY_TUNING : name;
+    const profile  = TUNING_PROFILES[resolved];
+    if (profile) return profile;
+
+    console.warn(`Unknown tuning "${resolved}"; using ${DEFAULT_TUNING}.`);
+    return TUNING_PROFILES[DEFAULT_TUNING];
+}
+
+// The harmonic's divisor for a MandalaSpec in a tuning
+function tuningInterval(profile, spec) {
+    if (profile.intervals === HARMONIC_INTERVALS) return spec.harmonicInterval;
+    return profile.intervals[Math.floor(spec.harmonicPick * profile.intervals.length)];
+}
+
+// hz moved by octaves into [floor, 2 × floor)
+function octaveInto(hz, floor) {
+    while (hz < floor) hz *= 2;
+    while (hz >= floor * 2) hz /= 2;
+    return hz;
+}
+
+// The tanpura's Sa for a MandalaSpec in a tuning, moved by octaves into the drone's register
+function tuningDroneHz(profile, spec) {
+    return octaveInto(profile.droneHz || profile.rootHz / spec.droneInterval, DRONE_FLOOR_HZ);
+}
+
+// The entrainment carrier for a MandalaSpec in a tuning: the root over the
+// hash's carrierInterval — or the interval at the same position in the
+// profile's own — moved by octaves into the carrier's register
+function tuningCarrierHz(profile, spec) {
+    const pick     = HARMONIC_INTERVALS.indexOf(spec.carrierInterval);
+    const interval = profile.intervals === HARMONIC_INTERVALS
+        ? spec.carrierInterval
+        : profile.intervals[pick % profile.intervals.length];
+    return octaveInto(profile.rootHz / interval, CARRIER_FLOOR_HZ);
+}
+
+// Hz rounded for display: "852 Hz", "568.06 Hz"
+function formatHz(hz) {
+    return `${Number(hz.toFixed(2))} Hz`;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        DEFAULT_TUNING,
+        LEGACY_TUNING,
+        MUSICAL_SCALES,
+        TUNING_PROFILES,
+        getTuningProfile,
+        tuningInterval,
+        tuningDroneHz,
+        tuningCarrierHz,
+        formatHz
+    };
+}
@@ -0,0 +1,555 @@
+// webgl-backend.js - WebGL2 render backend for the Intention Keeper
+//
+// Same geometry as the Canvas 2D backend — MandalaGenerator computes every
+// position, size and colour and hands them to the batch — drawn on the GPU:
+//   - dots are instanced quads shaded as antialiased discs
+//   - curves (and the Lissajous polyline, one segment per instance) are
+//     instanced strips: a fixed 16-segment template bent along each quadratic
+//     in the vertex shader
+//   - glows and connection halos are instanced Gaussian quads added with an
+//     additive blend — a bloom pass instead of 2D shadow blur
+//   - text (MERIDIAN-HASH, intention, HUD) is drawn once with a 2D context into
+//     a texture per overlay slot and only redrawn when its key changes
+//
+// The drawing buffer is preserved between frames: the renderer's trails come
+// from fading the previous frame, exactly as on the 2D canvas.
+//
+// Selected automatically by MandalaGenerator when WebGL2 works — software
+// rasterizers included — otherwise Canvas 2D is used.
+
+// Node has no shared script scope — pull dependencies in explicitly.
+// In the browser they are already globals from the earlier <script> tags.
+if (typeof module !== 'undefined' && module.exports) {
+    var { createScratchCanvas } = require('./render-batch.js');
+}
+
+// Segments per curve template — smooth at mandala scale
+const CURVE_SEGMENTS = 16;
+
+// Floats per instance for each batch list
+const DISC_STRIDE  = 7;  // x, y, radius, r, g, b, a
+const CURVE_STRIDE = 11; // x0, y0, cpX, cpY, x1, y1, r, g, b, a, width
+
+// Shared by every program: canvas pixels (y down) to clip space, with the
+// dissolve's zoom about the canvas centre applied first
+const GLSL_TO_CLIP = `
+uniform vec2  u_resolution;
+uniform float u_zoom;
+vec4 toClip(vec2 p) {
+    vec2 centre = u_resolution * 0.5;
+    vec2 clip   = ((p - centre) * u_zoom + centre) / u_resolution * 2.0 - 1.0;
+    return vec4(clip.x, -clip.y, 0.0, 1.0);
+}`;
+
+const DISC_VERTEX = `#version 300 es
+in vec2  a_corner;
+in vec2  a_centre;
+in float a_radius;
+in vec4  a_color;
+uniform float u_pad;
+out vec2  v_local;
+out float v_radius;
+out vec4  v_color;
+${GLSL_TO_CLIP}
+void main() {
+    float extent = a_radius + u_pad;
+    v_local  = a_corner * extent;
+    v_radius = a_radius;
+    v_color  = a_color;
+    gl_Position = toClip(a_centre + v_local);
+}`;
+
+// u_glow 0: solid disc with a one-pixel antialiased edge
+// u_glow 1: Gaussian falloff matching the 2D glow sprites (edge at 2σ)
+const DISC_FRAGMENT = `#version 300 es
+precision mediump float;
+in vec2  v_local;
+in float v_radius;
+in vec4  v_color;
+uniform float u_glow;
+out vec4 outColor;
+void main() {
+    float d = length(v_local);
+    float a;
+    if (u_glow > 0.5) {
+        float t = d / v_radius;
+        a = t >= 1.0 ? 0.0 : exp(-4.5 * t * t);
+    } else {
+        a = clamp(v_radius - d + 0.5, 0.0, 1.0);
+    }
+    a *= v_color.a;
+    outColor = vec4(v_color.rgb * a, a);
+}`;
+
+const CURVE_VERTEX = `#version 300 es
+in vec2  a_template;
+in vec2  a_p0;
+in vec2  a_cp;
+in vec2  a_p1;
+in vec4  a_color;
+in float a_width;
+out float v_edge;
+out float v_halfWidth;
+out vec4  v_color;
+${GLSL_TO_CLIP}
+void main() {
+    float t = a_template.x;
+    float u = 1.0 - t;
+    vec2 p = u * u * a_p0 + 2.0 * u * t * a_cp + t * t * a_p1;
+    vec2 d = 2.0 * u * (a_cp - a_p0) + 2.0 * t * (a_p1 - a_cp);
+    if (dot(d, d) < 1e-8) d = vec2(1.0, 0.0);
+    vec2 n = normalize(vec2(-d.y, d.x));
+
+    v_halfWidth = a_width * 0.5;
+    v_edge      = a_template.y * (v_halfWidth + 0.5);
+    v_color     = a_color;
+    gl_Position = toClip(p + n * v_edge);
+}`;
+
+const CURVE_FRAGMENT = `#version 300 es
+precision mediump float;
+in float v_edge;
+in float v_halfWidth;
+in vec4  v_color;
+out vec4 outColor;
+void main() {
+    float a = clamp(v_halfWidth + 0.5 - abs(v_edge), 0.0, 1.0) * v_color.a;
+    outColor = vec4(v_color.rgb * a, a);
+}`;
+
+// Full-canvas quad: a solid colour (fade) or an overlay texture
+const QUAD_VERTEX = `#version 300 es
+in vec2 a_corner;
+out vec2 v_uv;
+${GLSL_TO_CLIP}
+void main() {
+    v_uv = a_corner;
+    gl_Position = toClip(a_corner * u_resolution);
+}`;
+
+const QUAD_FRAGMENT = `#version 300 es
+precision mediump float;
+in vec2 v_uv;
+uniform sampler2D u_texture;
+uniform float u_textured;
+uniform vec4  u_color;
+out vec4 outColor;
+void main() {
+    outColor = u_textured > 0.5 ? texture(u_texture, v_uv) : vec4(u_color.rgb * u_color.a, u_color.a);
+}`;
+
+// HSL as used in CSS (hue in degrees, saturation and lightness in percent) to RGB 0-1
+function hslToRgb(hue, saturation, lightness) {
+    const s = saturation / 100;
+    const l = lightness  / 100;
+    const k = (n) => (n + hue / 30) % 12;
+    const a = s * Math.min(l, 1 - l);
+    const f = (n) => l - a * Math.max(-1, Math.min(k(n) - 3, 9 - k(n), 1));
+    return [f(0), f(8), f(4)];
+}
+
+// Growable Float32Array — batch lists are refilled every frame without reallocating
+class FloatList {
+    constructor(capacity = 1024) {
+        this.data   = new Float32Array(capacity);
+        this.length = 0;
+    }
+
+    reserve(count) {
+        if (this.length + count <= this.data.length) return;
+        let capacity = this.data.length * 2;
+        while (capacity < this.length + count) capacity *= 2;
+        const grown = new Float32Array(capacity);
+        grown.set(this.data.subarray(0, this.length));
+        this.data = grown;
+    }
+
+    view() {
+        return this.data.subarray(0, this.length);
+    }
+}
+
+// Same interface as RenderBatch, writing instance data instead of paths
+class WebGLRenderBatch {
+    constructor(backend) {
+        this.backend     = backend;
+        this.glowEnabled = true;
+        this.discs  = new FloatList();
+        this.glows  = new FloatList();
+        this.halos  = new FloatList();
+        this.curves = new FloatList();
+    }
+
+    pushDisc(list, x, y, radius, rgb, alpha) {
+        list.reserve(DISC_STRIDE);
+        const d = list.data;
+        let i = list.length;
+        d[i++] = x; d[i++] = y; d[i++] = radius;
+        d[i++] = rgb[0]; d[i++] = rgb[1]; d[i++] = rgb[2]; d[i++] = alpha;
+        list.length = i;
+    }
+
+    pushCurve(list, x0, y0, cpX, cpY, x1, y1, rgb, alpha, width) {
+        list.reserve(CURVE_STRIDE);
+        const d = list.data;
+        let i = list.length;
+        d[i++] = x0;  d[i++] = y0;
+        d[i++] = cpX; d[i++] = cpY;
+        d[i++] = x1;  d[i++] = y1;
+        d[i++] = rgb[0]; d[i++] = rgb[1]; d[i++] = rgb[2]; d[i++] = alpha;
+        d[i++] = width;
+        list.length = i;
+    }
+
+    dot(x, y, radius, hue, saturation, lightness, alpha) {
+        this.pushDisc(this.discs, x, y, radius, hslToRgb(hue, saturation, lightness), alpha);
+    }
+
+    // Same extent and coverage rule as RenderBatch.glow()
+    glow(x, y, radius, blur, hue, saturation, lightness, alpha) {
+        if (!this.glowEnabled || blur <= 0 || alpha <= 0) return;
+        const coverage = 1 - Math.exp(-2 * (radius * radius) / (blur * blur));
+        this.pushDisc(this.glows, x, y, radius + blur,
+                      hslToRgb(hue, saturation, lightness), Math.min(1, alpha * coverage));
+    }
+
+    curve(x0, y0, cpX, cpY, x1, y1, hue, saturation, lightness, alpha, width) {
+        this.pushCurve(this.curves, x0, y0, cpX, cpY, x1, y1,
+                       hslToRgb(hue, saturation, lightness), alpha, width);
+    }
+
+    // Same width and peak rule as RenderBatch.curveHalo()
+    curveHalo(x0, y0, cpX, cpY, x1, y1, blur, hue, saturation, lightness, alpha) {
+        if (!this.glowEnabled || blur <= 0 || alpha <= 0) return;
+        this.pushCurve(this.halos, x0, y0, cpX, cpY, x1, y1,
+                       hslToRgb(hue, saturation, lightness),
+                       Math.min(1, alpha * 0.8 / blur), Math.max(1, Math.round(blur)));
+    }
+
+    // Each polyline segment is a straight "curve" with its control point at the midpoint
+    line(coords, hue, saturation, lightness, alpha, width) {
+        const rgb = hslToRgb(hue, saturation, lightness);
+        for (let i = 2; i < coords.length; i += 2) {
+            const x0 = coords[i - 2], y0 = coords[i - 1];
+            const x1 = coords[i],     y1 = coords[i + 1];
+            this.pushCurve(this.curves, x0, y0, (x0 + x1) / 2, (y0 + y1) / 2, x1, y1, rgb, alpha, width);
+        }
+    }
+
+    // Same layer order as RenderBatch: glows, halos, curves, dots
+    flush() {
+        const backend = this.backend;
+        backend.drawDiscs(this.glows, true);
+        backend.drawCurves(this.halos, true);
+        backend.drawCurves(this.curves, false);
+        backend.drawDiscs(this.discs, false);
+
+        this.discs.length  = 0;
+        this.glows.length  = 0;
+        this.halos.length  = 0;
+        this.curves.length = 0;
+    }
+}
+
+class WebGL2Backend {
+    // A backend for the canvas, or null when WebGL2 is unavailable. Support is
+    // probed on a scratch canvas first: once a canvas hands out a WebGL context
+    // it can never give a 2D one, so the real canvas is only claimed when the
+    // programs are known to compile.
+    static create(canvas) {
+        if (!WebGL2Backend.isSupported()) return null;
+        const gl = WebGL2Backend.getContext(canvas);
+        return gl ? new WebGL2Backend(canvas, gl) : null;
+    }
+
+    static isSupported() {
+        if (WebGL2Backend.supported === undefined) {
+            WebGL2Backend.supported = false;
+            try {
+                const gl = WebGL2Backend.getContext(createScratchCanvas(1, 1));
+                if (gl) {
+                    WebGL2Backend.compilePrograms(gl);
+                    WebGL2Backend.supported = true;
+                    const lose = gl.getExtension('WEBGL_lose_context');
+                    if (lose) lose.loseContext();
+                }
+            } catch (e) {
+                console.warn('WebGL2 renderer unavailable:', e.message);
+            }
+        }
+        return WebGL2Backend.supported;
+    }
+
+    // Software rasterizers are fine — only a missing WebGL2 falls back
+    static getContext(canvas) {
+        try {
+            return canvas.getContext('webgl2', {
+                alpha:                        false,
+                antialias:                    true,
+                premultipliedAlpha:           true,
+                preserveDrawingBuffer:        true,
+                failIfMajorPerformanceCaveat: false
+            });
+        } catch (e) {
+            return null;
+        }
+    }
+
+    static compilePrograms(gl) {
+        return {
+            disc:  WebGL2Backend.linkProgram(gl, DISC_VERTEX,  DISC_FRAGMENT),
+            curve: WebGL2Backend.linkProgram(gl, CURVE_VERTEX, CURVE_FRAGMENT),
+            quad:  WebGL2Backend.linkProgram(gl, QUAD_VERTEX,  QUAD_FRAGMENT)
+        };
+    }
+
+    static linkProgram(gl, vertexSource, fragmentSource) {
+        const compile = (type, source) => {
+            const shader = gl.createShader(type);
+            gl.shaderSource(shader, source);
+            gl.compileShader(shader);
+            if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
+                throw new Error(`Shader compile failed: ${gl.getShaderInfoLog(shader)}`);
+            }
+            return shader;
+        };
+
+        const program = gl.createProgram();
+        gl.attachShader(program, compile(gl.VERTEX_SHADER,   vertexSource));
+        gl.attachShader(program, compile(gl.FRAGMENT_SHADER, fragmentSource));
+        gl.linkProgram(program);
+        if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
+            throw new Error(`Program link failed: ${gl.getProgramInfoLog(program)}`);
+        }
+        return program;
+    }
+
+    constructor(canvas, gl) {
+        this.kind     = 'webgl2';
+        this.canvas   = canvas;
+        this.gl       = gl;
+        this.zoom     = 1;
+        this.overlays = new Map();
+        this.uniforms = new Map();
+        this.programs = WebGL2Backend.compilePrograms(gl);
+        this.batch    = new WebGLRenderBatch(this);
+
+        this.createGeometry();
+        gl.enable(gl.BLEND);
+        this.resize();
+    }
+
+    // Static vertex templates plus one dynamic instance buffer per program
+    createGeometry() {
+        const gl = this.gl;
+
+        // Unit quad corners for discs (-1..1) and full-canvas quads (0..1)
+        this.discCorners = this.staticBuffer([-1, -1, 1, -1, -1, 1, 1, 1]);
+        this.quadCorners = this.staticBuffer([0, 0, 1, 0, 0, 1, 1, 1]);
+
+        // Curve strip template: (t, side) pairs along the curve
+        const template = [];
+        for (let i = 0; i <= CURVE_SEGMENTS; i++) {
+            template.push(i / CURVE_SEGMENTS, -1, i / CURVE_SEGMENTS, 1);
+        }
+        this.curveTemplate = this.staticBuffer(template);
+
+        this.discInstances  = gl.createBuffer();
+        this.curveInstances = gl.createBuffer();
+
+        this.discVao  = this.createVao(this.programs.disc, this.discCorners, 'a_corner',
+                                       this.discInstances, DISC_STRIDE,
+                                       [['a_centre', 2], ['a_radius', 1], ['a_color', 4]]);
+        this.curveVao = this.createVao(this.programs.curve, this.curveTemplate, 'a_template',
+                                       this.curveInstances, CURVE_STRIDE,
+                                       [['a_p0', 2], ['a_cp', 2], ['a_p1', 2], ['a_color', 4], ['a_width', 1]]);
+        this.quadVao  = this.createVao(this.programs.quad, this.quadCorners, 'a_corner', null, 0, []);
+    }
+
+    staticBuffer(values) {
+        const gl     = this.gl;
+        const buffer = gl.createBuffer();
+        gl.bindBuffer(gl.ARRAY_BUFFER, buffer);
+        gl.bufferData(gl.ARRAY_BUFFER, new Float32Array(values), gl.STATIC_DRAW);
+        return buffer;
+    }
+
+    // A VAO with a per-vertex vec2 template and interleaved per-instance attributes
+    createVao(program, templateBuffer, templateName, instanceBuffer, stride, instanceAttributes) {
+        const gl  = this.gl;
+        const vao = gl.createVertexArray();
+        gl.bindVertexArray(vao);
+
+        gl.bindBuffer(gl.ARRAY_BUFFER, templateBuffer);
+        const templateLocation = gl.getAttribLocation(program, templateName);
+        gl.enableVertexAttribArray(templateLocation);
+        gl.vertexAttribPointer(templateLocation, 2, gl.FLOAT, false, 0, 0);
+
+        if (instanceBuffer) {
+            gl.bindBuffer(gl.ARRAY_BUFFER, instanceBuffer);
+            let offset = 0;
+            for (const [name, size] of instanceAttributes) {
+                const location = gl.getAttribLocation(program, name);
+                gl.enableVertexAttribArray(location);
+                gl.vertexAttribPointer(location, size, gl.FLOAT, false, stride * 4, offset * 4);
+                gl.vertexAttribDivisor(location, 1);
+                offset += size;
+            }
+        }
+
+        gl.bindVertexArray(null);
+        return vao;
+    }
+
+    // Uniform locations, looked up once per program
+    uniform(program, name) {
+        let locations = this.uniforms.get(program);
+        if (!locations) {
+            locations = {};
+            this.uniforms.set(program, locations);
+        }
+        if (!(name in locations)) {
+            locations[name] = this.gl.getUniformLocation(program, name);
+        }
+        return locations[name];
+    }
+
+    useProgram(program) {
+        const gl = this.gl;
+        gl.useProgram(program);
+        gl.uniform2f(this.uniform(program, 'u_resolution'), this.canvas.width, this.canvas.height);
+        gl.uniform1f(this.uniform(program, 'u_zoom'), this.zoom);
+    }
+
+    // Additive for glows and halos (bloom), premultiplied "over" for everything else
+    setBlend(additive) {
+        const gl = this.gl;
+        if (additive) gl.blendFunc(gl.ONE, gl.ONE);
+        else          gl.blendFunc(gl.ONE, gl.ONE_MINUS_SRC_ALPHA);
+    }
+
+    drawDiscs(list, glow) {
+        if (!list.length) return;
+        const gl      = this.gl;
+        const program = this.programs.disc;
+        this.useProgram(program);
+        gl.uniform1f(this.uniform(program, 'u_glow'), glow ? 1 : 0);
+        gl.uniform1f(this.uniform(program, 'u_pad'),  glow ? 0 : 1);
+        this.setBlend(glow);
+
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.discInstances);
+        gl.bufferData(gl.ARRAY_BUFFER, list.view(), gl.DYNAMIC_DRAW);
+        gl.bindVertexArray(this.discVao);
+        gl.drawArraysInstanced(gl.TRIANGLE_STRIP, 0, 4, list.length / DISC_STRIDE);
+        gl.bindVertexArray(null);
+    }
+
+    drawCurves(list, additive) {
+        if (!list.length) return;
+        const gl = this.gl;
+        this.useProgram(this.programs.curve);
+        this.setBlend(additive);
+
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.curveInstances);
+        gl.bufferData(gl.ARRAY_BUFFER, list.view(), gl.DYNAMIC_DRAW);
+        gl.bindVertexArray(this.curveVao);
+        gl.drawArraysInstanced(gl.TRIANGLE_STRIP, 0, (CURVE_SEGMENTS + 1) * 2, list.length / CURVE_STRIDE);
+        gl.bindVertexArray(null);
+    }
+
+    drawQuad(texture, color) {
+        const gl      = this.gl;
+        const program = this.programs.quad;
+        this.useProgram(program);
+        this.setBlend(false);
+        gl.uniform1f(this.uniform(program, 'u_textured'), texture ? 1 : 0);
+        if (texture) {
+            gl.activeTexture(gl.TEXTURE0);
+            gl.bindTexture(gl.TEXTURE_2D, texture);
+            gl.uniform1i(this.uniform(program, 'u_texture'), 0);
+        } else {
+            gl.uniform4f(this.uniform(program, 'u_color'), color[0], color[1], color[2], color[3]);
+        }
+        gl.bindVertexArray(this.quadVao);
+        gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+        gl.bindVertexArray(null);
+    }
+
+    fade(alpha) {
+        this.drawQuad(null, [0, 0, 0, alpha]);
+    }
+
+    withZoom(scale, draw) {
+        const previous = this.zoom;
+        this.zoom = previous * scale;
+        try {
+            draw();
+        } finally {
+            this.zoom = previous;
+        }
+    }
+
+    // Text is rasterized by a 2D context into the slot's texture, only when the key changes
+    overlay(slot, key, draw) {
+        const gl = this.gl;
+        let entry = this.overlays.get(slot);
+        if (!entry) {
+            entry = { canvas: null, texture: gl.createTexture(), key: null };
+            gl.bindTexture(gl.TEXTURE_2D, entry.texture);
+            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+            this.overlays.set(slot, entry);
+        }
+
+        if (entry.key !== key) {
+            const { width, height } = this.canvas;
+            if (!entry.canvas || entry.canvas.width !== width || entry.canvas.height !== height) {
+                entry.canvas = createScratchCanvas(width, height);
+            }
+            const ctx = entry.canvas.getContext('2d');
+            ctx.clearRect(0, 0, width, height);
+            ctx.save();
+            draw(ctx);
+            ctx.restore();
+
+            gl.bindTexture(gl.TEXTURE_2D, entry.texture);
+            gl.pixelStorei(gl.UNPACK_PREMULTIPLY_ALPHA_WEBGL, true);
+            gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, entry.canvas);
+            gl.pixelStorei(gl.UNPACK_PREMULTIPLY_ALPHA_WEBGL, false);
+            entry.key = key;
+        }
+
+        this.drawQuad(entry.texture);
+    }
+
+    resize() {
+        this.gl.viewport(0, 0, this.canvas.width, this.canvas.height);
+    }
+
+    // Pixels top row first, like CanvasRenderingContext2D.getImageData()
+    getImageData() {
+        const gl = this.gl;
+        const { width, height } = this.canvas;
+        const pixels  = new Uint8Array(width * height * 4);
+        gl.readPixels(0, 0, width, height, gl.RGBA, gl.UNSIGNED_BYTE, pixels);
+
+        const flipped = new Uint8ClampedArray(pixels.length);
+        const row     = width * 4;
+        for (let y = 0; y < height; y++) {
+            flipped.set(pixels.subarray((height - 1 - y) * row, (height - y) * row), y * row);
+        }
+        return typeof ImageData !== 'undefined'
+            ? new ImageData(flipped, width, height)
+            : { data: flipped, width, height };
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        WebGL2Backend,
+        WebGLRenderBatch,
+        hslToRgb
+    };
+}
@@ -0,0 +1,69 @@
+// canonicalization.test.js - What counts as "the same intention"
+//
+// Variants a user would call the same intention must canonicalize — and so
+// hash — alike under version 1, while version 0 keeps the raw text that
+// pre-canonicalization entries were hashed with.
+
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+
+const { canonicalizeIntention, hashIntention } = require('../js/hash-encoder.js');
+
+// [what the user typed, version 1 canonical form]
+const CASES = [
+    ['I am  peace',                         'I am peace'],                // double space
+    ['  I am peace\n',                      'I am peace'],                // edges
+    ['I\tam\u00A0peace',                    'I am peace'],                // tab, NBSP
+    ['I am pe\u200Bace\uFEFF',              'I am peace'],                // zero-width space, BOM
+    ['Cafe\u0301 calm',                     'Caf\u00E9 calm'],            // decomposed e + accent
+    ['\uFF29 am peace',                     'I am peace'],                // full-width I
+    ['I\u2019m \u201Cfree\u201D',           'I\'m "free"'],               // curly quotes
+    ['self\u2014love \u2013 now',           'self-love - now'],           // em and en dash
+    ['Wait\u2026',                          'Wait...']                    // ellipsis
+];
+
+test('version 1 folds spacing, Unicode forms, quotes and dashes', () => {
+    CASES.forEach(([typed, canonical]) => {
+        assert.equal(canonicalizeIntention(typed, 1), canonical, JSON.stringify(typed));
+    });
+});
+
+test('version 1 keeps case unless case folding is on', () => {
+    assert.equal(canonicalizeIntention('I Am Peace', 1), 'I Am Peace');
+    assert.equal(canonicalizeIntention('I Am Peace', 1, true), 'i am peace');
+});
+
+test('version 0, or no version, is the raw text', () => {
+    assert.equal(canonicalizeIntention('  I am  peace\n', 0), '  I am  peace\n');
+    assert.equal(canonicalizeIntention('  I am  peace\n'), '  I am  peace\n');
+});
+
+test('an unknown version throws', () => {
+    assert.throws(() => canonicalizeIntention('I am peace', 99), /Unknown canonicalization version 99/);
+});
+
+test('variants of one intention hash alike', async () => {
+    const expected = await hashIntention('I am peace');
+    for (const [typed] of CASES.slice(0, 4)) {
+        const hashed = await hashIntention(typed);
+        assert.equal(hashed.hash, expected.hash, JSON.stringify(typed));
+        assert.equal(hashed.canonicalText, 'I am peace');
+        assert.equal(hashed.mode, 'public');
+    }
+    const raw = await hashIntention('I am  peace', { canonicalVersion: 0 });
+    assert.notEqual(raw.hash, expected.hash);
+    assert.equal(raw.canonicalVersion, 0);
+});
+
+test('a passphrase keys a private hash of the same canonical text', async () => {
+    const open    = await hashIntention('I am  peace');
+    const hidden  = await hashIntention('I am  peace', { passphrase: 'correct horse' });
+    const again   = await hashIntention('I am peace',  { passphrase: 'correct horse' });
+    const another = await hashIntention('I am peace',  { passphrase: 'battery staple' });
+
+    assert.equal(hidden.mode, 'private');
+    assert.equal(hidden.canonicalText, 'I am peace');
+    assert.notEqual(hidden.hash, open.hash);
+    assert.equal(again.hash, hidden.hash);
+    assert.notEqual(another.hash, hidden.hash);
+});
@@ -0,0 +1,95 @@
+// display-list.test.js - Snapshots of rendered frames, one per style
+//
+// recordMandalaFrame() draws an intention at a timestamp through the recording
+// backend, so a frame can be compared without a canvas. Every op of a frame is
+// recorded in fixtures/display-lists.json as its name and primitives (numbers
+// rounded to PRIMITIVE_DECIMALS, strings as drawn), one op per line.
+// Numbers only have to agree to within one rounding step, so a last-bit
+// difference in Math.sin/Math.cos between engines can't fail the suite.
+// Run with UPDATE_FIXTURES=1 to rewrite them after a deliberate visual change.
+
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+const fs     = require('node:fs');
+const path   = require('node:path');
+
+const { recordMandalaFrame } = require('../js/recording-backend.js');
+const { listMandalaStyles }  = require('../js/mandala-styles.js');
+
+const FIXTURE   = path.join(__dirname, 'fixtures', 'display-lists.json');
+const INTENTION = 'I am peace';
+const SECONDS   = 12.5;
+const SIZE      = 300;
+
+const PRIMITIVE_DECIMALS = 2;
+const PRIMITIVE_STEP     = Math.pow(10, -PRIMITIVE_DECIMALS);
+
+// One op as [name, ...primitives], walking its fields in drawing order
+function primitives(entry) {
+    const row = [entry.op];
+    const walk = (value) => {
+        if (Array.isArray(value)) value.forEach(walk);
+        else if (value && typeof value === 'object') Object.values(value).forEach(walk);
+        else if (typeof value === 'number') row.push(Number(value.toFixed(PRIMITIVE_DECIMALS)));
+        else row.push(value);
+    };
+    Object.keys(entry).filter(key => key !== 'op').forEach(key => walk(entry[key]));
+    return row;
+}
+
+function sameRow(actual, expected) {
+    return actual.length === expected.length && actual.every((value, i) =>
+        typeof value === 'number' && typeof expected[i] === 'number'
+            ? Math.abs(value - expected[i]) <= PRIMITIVE_STEP * 1.001
+            : value === expected[i]);
+}
+
+// Pretty enough to diff: one op per line
+function writeFixture(frames) {
+    const styleBlocks = Object.keys(frames).map(style =>
+        `  ${JSON.stringify(style)}: [\n` +
+        frames[style].map(row => '    ' + JSON.stringify(row)).join(',\n') +
+        '\n  ]');
+    fs.writeFileSync(FIXTURE, '{\n' + styleBlocks.join(',\n') + '\n}\n');
+}
+
+// The built-in styles, named before any test can register another
+const styles = listMandalaStyles().map(style => style.name);
+
+test('each style draws its recorded frame', async () => {
+    const frames = {};
+    for (const style of styles) {
+        frames[style] = (await recordMandalaFrame(INTENTION, SECONDS, { style, size: SIZE })).map(primitives);
+    }
+
+    if (process.env.UPDATE_FIXTURES) {
+        writeFixture(frames);
+        return;
+    }
+    const expected = JSON.parse(fs.readFileSync(FIXTURE, 'utf8'));
+    styles.forEach(style => {
+        assert.ok(expected[style], `fixtures/display-lists.json has no frame for "${style}"`);
+        assert.equal(frames[style].length, expected[style].length, `"${style}" draws a different number of ops`);
+        frames[style].forEach((row, i) => {
+            assert.ok(sameRow(row, expected[style][i]),
+                `"${style}" op ${i} changed:\n  ${JSON.stringify(row)}\n  expected ${JSON.stringify(expected[style][i])}`);
+        });
+    });
+});
+
+test('the same intention and timestamp record the same frame', async () => {
+    const first  = await recordMandalaFrame(INTENTION, SECONDS, { size: SIZE });
+    const second = await recordMandalaFrame(INTENTION, SECONDS, { size: SIZE });
+    assert.deepEqual(second, first);
+});
+
+test('a private mandala never draws its intention', async () => {
+    const texts = async (options) => (await recordMandalaFrame(INTENTION, SECONDS, options))
+        .filter(entry => entry.op === 'text')
+        .map(entry => entry.text);
+
+    assert.ok((await texts({})).includes(INTENTION));
+    const hidden = await texts({ passphrase: 'correct horse' });
+    assert.ok(hidden.includes('MERIDIAN-HASH · PRIVATE (HMAC):'));
+    assert.ok(!hidden.some(text => text.includes(INTENTION) || text === 'INTENTION:'));
+});
@@ -0,0 +1,55 @@
+// hash-melody.test.js - The hash-to-phrase mapping is deterministic and frozen
+//
+// Each byte of the MERIDIAN-HASH is one step of the melody: its parity
+// decides note or rest, its upper bits the scale degree, its size the velocity.
+
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+
+const { MUSICAL_SCALES } = require('../js/tuning-profiles.js');
+const { hashMelodyScale, composeHashMelody } = require('../js/hash-melody.js');
+
+// SHA-256 of "I am peace", canonical v1
+const HASH = '3ece6f0b8280739d5a4c4fe245bdd132ad60aee127fc5a520e2389cd6ebf1306';
+
+const toHex = (bytes) => bytes.map(byte => byte.toString(16).padStart(2, '0')).join('');
+
+// Rising bytes, alternately even and odd, ending on the loudest
+const BYTES = Array.from({ length: 32 }, (_, i) => i * 8 + (i % 2));
+BYTES[31] = 255;
+
+test('the same hash always composes the same phrase', () => {
+    const melody = composeHashMelody(HASH);
+    assert.deepEqual(composeHashMelody(HASH), melody);
+    assert.equal(melody.scale, hashMelodyScale(HASH));
+    assert.ok(MUSICAL_SCALES[melody.scale]);
+    assert.equal(melody.steps.length, 32);
+
+    const scale = Object.keys(MUSICAL_SCALES).find(name => name !== melody.scale);
+    assert.equal(composeHashMelody(HASH, scale).scale, scale);
+});
+
+test('even bytes rest and odd bytes pluck a degree of the scale', () => {
+    const scale  = Object.keys(MUSICAL_SCALES)[0];
+    const ratios = MUSICAL_SCALES[scale].ratios;
+    const { steps } = composeHashMelody(toHex(BYTES), scale);
+
+    steps.forEach((step, i) => {
+        if (BYTES[i] % 2 === 0) {
+            assert.equal(step, null, `byte ${BYTES[i]} should rest`);
+            return;
+        }
+        const degree = (BYTES[i] >> 1) % (ratios.length + 1);
+        assert.equal(step.degree, degree);
+        assert.equal(step.ratio, degree < ratios.length ? ratios[degree] : 2);
+    });
+});
+
+test('larger bytes pluck harder', () => {
+    const { steps } = composeHashMelody(toHex(BYTES), Object.keys(MUSICAL_SCALES)[0]);
+    const velocities = steps.filter(Boolean).map(step => step.velocity);
+
+    velocities.slice(1).forEach((velocity, i) => assert.ok(velocity > velocities[i]));
+    assert.ok(Math.abs(velocities[0] - (0.3 + 0.7 * 9 / 255)) < 1e-12);
+    assert.equal(velocities[velocities.length - 1], 1);
+});
@@ -0,0 +1,66 @@
+// mandala-spec.test.js - Hash-to-MandalaSpec derivation is pure and frozen
+//
+// Every released generator profile must keep turning the same hash into the
+// same spec, or saved intentions would redraw differently. The expected specs
+// live in fixtures/specs.json. Run with UPDATE_FIXTURES=1 to rewrite them —
+// only ever needed when a new generator version is added.
+
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+const fs     = require('node:fs');
+const path   = require('node:path');
+
+const { createMandalaSpec }                       = require('../js/mandala-spec.js');
+const { GENERATOR_PROFILES, deriveFeatureParams } = require('../js/generator-profiles.js');
+const { hexToNumbers }                            = require('../js/hash-encoder.js');
+
+const FIXTURE = path.join(__dirname, 'fixtures', 'specs.json');
+
+// SHA-256 of "I am peace"
+const HASH = '3ece6f0b8280739d5a4c4fe245bdd132ad60aee127fc5a520e2389cd6ebf1306';
+
+const versions = Object.keys(GENERATOR_PROFILES).map(Number);
+
+test('every generator version derives its recorded spec', () => {
+    const specs = {};
+    versions.forEach(version => { specs[version] = createMandalaSpec(HASH, version); });
+
+    if (process.env.UPDATE_FIXTURES) {
+        fs.writeFileSync(FIXTURE, JSON.stringify(specs, null, 2) + '\n');
+        return;
+    }
+    const expected = JSON.parse(fs.readFileSync(FIXTURE, 'utf8'));
+    versions.forEach(version => {
+        assert.ok(expected[version], `fixtures/specs.json has no spec for v${version}`);
+        assert.deepEqual(specs[version], expected[version], `v${version} spec changed`);
+    });
+});
+
+test('a spec is plain JSON and the same on every call', () => {
+    versions.forEach(version => {
+        const spec = createMandalaSpec(HASH, version);
+        assert.deepEqual(JSON.parse(JSON.stringify(spec)), spec);
+        assert.deepEqual(createMandalaSpec(HASH, version), spec);
+        assert.equal(spec.hash, HASH);
+        assert.equal(spec.generatorVersion, version);
+    });
+});
+
+test('a missing generator version means a pre-versioning entry (v1)', () => {
+    assert.deepEqual(createMandalaSpec(HASH), createMandalaSpec(HASH, 1));
+});
+
+test('feature fields come from their own streams, outside every profile', () => {
+    const numbers  = hexToNumbers(HASH);
+    const features = deriveFeatureParams(numbers);
+    assert.ok(Object.keys(features).length > 0);
+
+    versions.forEach(version => {
+        const own  = GENERATOR_PROFILES[version].derive(numbers);
+        const spec = createMandalaSpec(HASH, version);
+        Object.keys(features).forEach(key => {
+            assert.ok(!(key in own), `v${version} profile derives feature field ${key}`);
+            assert.equal(spec[key], features[key], `v${version} spec lacks ${key}`);
+        });
+    });
+});
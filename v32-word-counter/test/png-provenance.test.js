@@ -0,0 +1,185 @@
+// png-provenance.test.js - MERIDIAN-HASH provenance chunks in PNG exports
+//
+// The fixtures are real PNG files, readable with pngcheck or exiftool:
+//   provenance.png            a 1x1 export of "I am peace" with its record
+//   provenance-crc.png        the same, with the Intention text edited and its CRC left alone
+//   provenance-duplicate.png  the same, with a second MERIDIAN-HASH chunk before IEND
+// Run with UPDATE_FIXTURES=1 to rewrite them.
+
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+const fs     = require('node:fs');
+const path   = require('node:path');
+
+const { PNG_SIGNATURE, crc32, pngChunk, zlibStored } = require('../js/apng-encoder.js');
+const {
+    mandalaProvenance,
+    pngTextChunk,
+    readPngChunks,
+    readPngProvenance,
+    embedPngProvenance,
+    verifyPngFile
+} = require('../js/png-provenance.js');
+
+const FIXTURES = path.join(__dirname, 'fixtures');
+
+// SHA-256 of "I am peace", canonical v1
+const HASH = '3ece6f0b8280739d5a4c4fe245bdd132ad60aee127fc5a520e2389cd6ebf1306';
+
+const RECORD = {
+    hash:             HASH,
+    intention:        'I am peace',
+    generatorVersion: 4,
+    canonicalVersion: 1,
+    caseFold:         false,
+    mode:             'public',
+    style:            'sacred',
+    projection:       null,
+    tuning:           'solfeggio-852',
+    created:          '2026-10-19T00:00:00.000Z',
+    software:         'The Intention Keeper',
+    appVersion:       '3.2'
+};
+
+// A 1x1 opaque black RGBA PNG with no text chunks
+function plainPng() {
+    const header = new Uint8Array(13);
+    new DataView(header.buffer).setUint32(0, 1);
+    new DataView(header.buffer).setUint32(4, 1);
+    header.set([8, 6, 0, 0, 0], 8);
+    const parts = [
+        Uint8Array.from(PNG_SIGNATURE),
+        pngChunk('IHDR', header),
+        pngChunk('IDAT', zlibStored(Uint8Array.from([0, 0, 0, 0, 255]))),
+        pngChunk('IEND', new Uint8Array(0))
+    ];
+    const out = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+    parts.reduce((at, part) => { out.set(part, at); return at + part.length; }, 0);
+    return out;
+}
+
+const withRecord = (record) => embedPngProvenance(plainPng(), Object.assign({}, RECORD, record));
+
+// The chunk holding a text keyword, found by its bytes
+function textChunkOf(bytes, keyword) {
+    return readPngChunks(bytes).find(chunk =>
+        chunk.type === 'iTXt' && Buffer.from(chunk.data).toString('latin1').startsWith(keyword + '\0'));
+}
+
+function writeFixtures() {
+    const good = withRecord({});
+    fs.writeFileSync(path.join(FIXTURES, 'provenance.png'), good);
+
+    const tampered = good.slice();
+    const intention = textChunkOf(tampered, 'Intention');
+    tampered[intention.data.byteOffset + intention.data.length - 1] ^= 0x01;
+    fs.writeFileSync(path.join(FIXTURES, 'provenance-crc.png'), tampered);
+
+    const extra = pngTextChunk('MERIDIAN-HASH', 'f'.repeat(64));
+    const iend  = good.length - 12;
+    const duplicate = new Uint8Array(good.length + extra.length);
+    duplicate.set(good.subarray(0, iend), 0);
+    duplicate.set(extra, iend);
+    duplicate.set(good.subarray(iend), iend + extra.length);
+    fs.writeFileSync(path.join(FIXTURES, 'provenance-duplicate.png'), duplicate);
+}
+
+if (process.env.UPDATE_FIXTURES) writeFixtures();
+
+const fixture = (name) => new Uint8Array(fs.readFileSync(path.join(FIXTURES, name)));
+
+test('mandalaProvenance records the tuning and never a private intention', () => {
+    const renderer = (mode) => ({
+        getProvenance: () => ({
+            hash: HASH, canonicalText: 'I am peace', generatorVersion: 4, canonicalVersion: 1, caseFold: false, mode
+        }),
+        frameState: () => ({ style: 'sacred', projection: null })
+    });
+    const options = { tuning: 'solfeggio-852', created: new Date(RECORD.created) };
+
+    assert.deepEqual(mandalaProvenance(renderer('public'), options), RECORD);
+    assert.equal(mandalaProvenance(renderer('public'), Object.assign({ includeIntention: false }, options)).intention, null);
+    assert.equal(mandalaProvenance(renderer('private'), options).intention, null);
+    assert.throws(() => mandalaProvenance({ getProvenance: () => ({}) }), /generate one first/);
+});
+
+test('pngTextChunk writes an uncompressed iTXt chunk with a valid CRC', () => {
+    const chunk = pngTextChunk('Intention', 'Caf\u00e9 \u2736');
+    const view  = new DataView(chunk.buffer, chunk.byteOffset, chunk.byteLength);
+    const data  = chunk.subarray(8, chunk.length - 4);
+
+    assert.equal(Buffer.from(chunk.subarray(4, 8)).toString('latin1'), 'iTXt');
+    assert.equal(view.getUint32(0), data.length);
+    assert.deepEqual([...data.subarray(0, 14)], [...Buffer.from('Intention\0\0\0\0\0', 'latin1')]);
+    assert.equal(Buffer.from(data.subarray(14)).toString('utf-8'), 'Caf\u00e9 \u2736');
+    assert.equal(view.getUint32(chunk.length - 4), (crc32(chunk.subarray(4, chunk.length - 4)) ^ 0xffffffff) >>> 0);
+});
+
+test('readPngChunks lists chunks in order and flags CRC mismatches', () => {
+    assert.deepEqual(readPngChunks(plainPng()).map(chunk => [chunk.type, chunk.intact]),
+        [['IHDR', true], ['IDAT', true], ['IEND', true]]);
+
+    assert.ok(readPngChunks(fixture('provenance.png')).every(chunk => chunk.intact));
+    const damaged = readPngChunks(fixture('provenance-crc.png')).filter(chunk => !chunk.intact);
+    assert.equal(damaged.length, 1);
+    assert.equal(damaged[0].type, 'iTXt');
+
+    assert.throws(() => readPngChunks(new Uint8Array(16)), /Not a PNG file/);
+    assert.throws(() => readPngChunks(plainPng().subarray(0, 30)), /truncated/);
+});
+
+test('embedPngProvenance adds the record after IHDR and keeps every other chunk', () => {
+    const plain  = readPngChunks(plainPng());
+    const chunks = readPngChunks(fixture('provenance.png'));
+
+    assert.equal(chunks[0].type, 'IHDR');
+    assert.deepEqual(chunks.filter(chunk => chunk.type !== 'iTXt').map(chunk => [chunk.type, [...chunk.data]]),
+        plain.map(chunk => [chunk.type, [...chunk.data]]));
+    assert.ok(chunks.slice(1, -2).every(chunk => chunk.type === 'iTXt'));
+
+    // Null fields (projection) are left out; typed fields read back typed
+    const { record, damaged } = readPngProvenance(fixture('provenance.png'));
+    const expected = Object.assign({}, RECORD);
+    delete expected.projection;
+    assert.deepEqual(record, expected);
+    assert.deepEqual(damaged, []);
+
+    const noHeader = plainPng();
+    noHeader.set(Buffer.from('IHDX', 'latin1'), 12);
+    assert.throws(() => embedPngProvenance(noHeader, RECORD), /does not start with IHDR/);
+});
+
+test('verifyPngFile re-hashes the embedded intention', async () => {
+    const verified = await verifyPngFile(fixture('provenance.png'));
+    assert.equal(verified.status, 'verified');
+    assert.deepEqual(verified.options, {
+        generatorVersion: 4, canonicalVersion: 1, caseFold: false, mode: 'public'
+    });
+
+    assert.equal((await verifyPngFile(withRecord({ intention: 'I am calm' }))).status, 'mismatch');
+    assert.equal((await verifyPngFile(withRecord({ intention: null }))).status, 'unverifiable');
+});
+
+test('a private mandala is never re-checked from its file', async () => {
+    // As exported (no intention) and as hand-edited (an intention added)
+    for (const intention of [null, 'I am peace']) {
+        const result = await verifyPngFile(withRecord({ mode: 'private', intention }));
+        assert.equal(result.status, 'unverifiable');
+        assert.match(result.message, /private mandala/);
+        assert.equal(result.options.mode, 'private');
+    }
+});
+
+test('verifyPngFile reports damaged, invalid and missing records', async () => {
+    const crc = await verifyPngFile(fixture('provenance-crc.png'));
+    assert.equal(crc.status, 'damaged');
+    assert.match(crc.message, /Intention/);
+
+    const duplicate = await verifyPngFile(fixture('provenance-duplicate.png'));
+    assert.equal(duplicate.status, 'damaged');
+    assert.match(duplicate.message, /MERIDIAN-HASH/);
+
+    assert.equal((await verifyPngFile(withRecord({ hash: 'not a hash' }))).status, 'invalid');
+    assert.equal((await verifyPngFile(withRecord({ generatorVersion: 99 }))).status, 'invalid');
+    assert.equal((await verifyPngFile(plainPng())).status, 'missing');
+});
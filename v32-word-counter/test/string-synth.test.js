@@ -0,0 +1,43 @@
+// string-synth.test.js - Karplus-Strong plucks are normalized, centred and repeatable
+//
+// The audio engine caches rendered notes and schedules them at a fixed gain,
+// so every pluck must peak at exactly 1, carry no DC offset, and — the noise
+// being seeded by the pitch — be the same samples every time it is rendered.
+
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+
+const { SITAR_VOICE, TANPURA_VOICE, KarplusStrongString, pluckString } = require('../js/string-synth.js');
+
+const SAMPLE_RATE = 44100;
+
+const peakOf = (samples) => samples.reduce((peak, value) => Math.max(peak, Math.abs(value)), 0);
+const meanOf = (samples) => samples.reduce((sum, value) => sum + value, 0) / samples.length;
+
+const NOTES = [
+    ['sitar',   SITAR_VOICE,   440, [330, 660]],
+    ['tanpura', TANPURA_VOICE, 110, []]
+];
+
+test('a pluck peaks at 1 and carries no DC offset', () => {
+    NOTES.forEach(([name, voice, hz, sympathetic]) => {
+        const samples = pluckString(SAMPLE_RATE, hz, voice, sympathetic);
+        assert.equal(samples.length, Math.round(voice.seconds * SAMPLE_RATE), name);
+        assert.ok(Math.abs(peakOf(samples) - 1) < 1e-6, `${name} peaks at ${peakOf(samples)}`);
+        assert.ok(Math.abs(meanOf(samples)) < 1e-3, `${name} is offset by ${meanOf(samples)}`);
+        assert.ok(Math.abs(samples[samples.length - 1]) < 1e-3, `${name} does not fade out`);
+    });
+});
+
+test('the same pitch always renders the same samples', () => {
+    NOTES.forEach(([name, voice, hz, sympathetic]) => {
+        assert.deepEqual(pluckString(SAMPLE_RATE, hz, voice, sympathetic),
+            pluckString(SAMPLE_RATE, hz, voice, sympathetic), name);
+    });
+    assert.notDeepEqual(pluckString(SAMPLE_RATE, 441, SITAR_VOICE), pluckString(SAMPLE_RATE, 440, SITAR_VOICE));
+});
+
+test('a string outside the playable range throws', () => {
+    assert.throws(() => new KarplusStrongString(SAMPLE_RATE, 0, 1), /Cannot model a string at 0 Hz/);
+    assert.throws(() => pluckString(SAMPLE_RATE, SAMPLE_RATE / 2, SITAR_VOICE), /Cannot model a string/);
+});